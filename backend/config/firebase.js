@@ -0,0 +1,16 @@
+const { initializeApp, getApps } = require("firebase/app");
+
+const connectFirebase = () => {
+  if (getApps().length) {
+    return getApps()[0];
+  }
+
+  return initializeApp({
+    apiKey: process.env.FIREBASE_API_KEY,
+    authDomain: process.env.FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    appId: process.env.FIREBASE_APP_ID,
+  });
+};
+
+module.exports = connectFirebase;
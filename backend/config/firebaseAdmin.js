@@ -0,0 +1,21 @@
+const path = require("path");
+const admin = require("firebase-admin");
+
+// Same service account as Google Cloud Storage (see utils/files/google/gcs.js).
+const DEFAULT_KEY_FILE = "./utils/files/google/bbb-app-d4b41-8bb202309cf1.json";
+
+// Initialized on first use, so the server still starts without the key file.
+const getFirebaseAdmin = () => {
+  if (admin.apps.length) {
+    return admin.app();
+  }
+
+  return admin.initializeApp({
+    credential: admin.credential.cert(
+      path.resolve(process.env.GOOGLE_APPLICATION_CREDENTIALS || DEFAULT_KEY_FILE)
+    ),
+    projectId: process.env.FIREBASE_PROJECT_ID,
+  });
+};
+
+module.exports = getFirebaseAdmin;
@@ -0,0 +1,57 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const { hasPermission } = require("../utils/permissions");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
+const {
+  getPersonalRecords,
+  getWeeklyVolume,
+  getCategoryVolume,
+  getMonthlyComparison,
+} = require("../utils/analytics");
+
+const parseDate = (value, res) => {
+  if (!value) return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+};
+
+// Members see their own numbers; coaches can pass ?userId= to see a member's.
+const getTargetUserId = (req, res) => {
+  const { userId } = req.query;
+  if (!userId) return req.user._id;
+
+  if (!hasPermission(req.user.role, RESOURCES.Users, ACTIONS.Read)) {
+    res.status(403);
+    throw new Error("You are not allowed to perform this action");
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400);
+    throw new Error("Invalid userId");
+  }
+  return new mongoose.Types.ObjectId(userId);
+};
+
+const analyticsHandler = (getAnalytics, key) => asyncHandler(async (req, res, next) => {
+  const userId = getTargetUserId(req, res);
+  const range = {
+    from: parseDate(req.query.from, res),
+    to: parseDate(req.query.to, res),
+  };
+
+  const data = await getAnalytics(userId, range);
+
+  res.status(200).json({ [key]: data });
+});
+
+exports.getPersonalRecords = analyticsHandler(getPersonalRecords, "records");
+
+exports.getWeeklyVolume = analyticsHandler(getWeeklyVolume, "weeks");
+
+exports.getCategoryVolume = analyticsHandler(getCategoryVolume, "categories");
+
+exports.getMonthlyComparison = analyticsHandler(getMonthlyComparison, "months");
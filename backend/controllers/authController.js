@@ -0,0 +1,158 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const { getAuth, signInWithEmailAndPassword } = require("firebase/auth");
+const User = require("../models/userModel");
+const { canAccessCms } = require("../utils/permissions");
+const { SESSION_KINDS, AUTH_ERROR_CODES } = require("../utils/enum/auth");
+const {
+  issueTokens,
+  refreshTokens,
+  getActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+} = require("../utils/token");
+
+const toSessionList = (sessions, currentSession) =>
+  sessions.map((session) => ({
+    ...session.toJSON(),
+    current: !!currentSession && currentSession._id.equals(session._id),
+  }));
+
+exports.signInAdmin = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    res.status(400);
+    throw new Error("Please add email and password");
+  }
+
+  try {
+    await signInWithEmailAndPassword(getAuth(), email, password);
+  } catch (error) {
+    return res.status(401).json({ result: false, message: "Invalid email or password" });
+  }
+
+  const user = await User.findOne({ email: email });
+
+  if (!user || user.deletedAt || !canAccessCms(user.role)) {
+    return res.status(403).json({ result: false, message: "You are not allowed to access the CMS" });
+  }
+
+  const tokens = await issueTokens(user, {
+    kind: SESSION_KINDS.Admin,
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+
+  res.status(200).json({ result: true, role: user.role, ...tokens });
+});
+
+// Exchanges the WooCommerce token of the mobile app for a device session.
+exports.createDeviceSession = asyncHandler(async (req, res, next) => {
+  const { deviceId, deviceName, platform } = req.body;
+
+  if (!deviceId) {
+    res.status(400);
+    throw new Error("Please add deviceId");
+  }
+
+  const tokens = await issueTokens(req.user, {
+    kind: SESSION_KINDS.Device,
+    deviceId,
+    deviceName,
+    platform,
+    sourceToken: req.authSession ? undefined : req.headers["auth_token"],
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+
+  res.status(200).json({ result: true, ...tokens });
+});
+
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  let tokens;
+  try {
+    tokens = await refreshTokens(refreshToken);
+  } catch (error) {
+    return res.status(401).json({ result: false, code: error.code, message: error.message });
+  }
+
+  const user = await User.findOne({ _id: tokens.userId }).select(["role", "deletedAt"]);
+
+  if (user && user.deletedAt) {
+    await revokeSession(tokens.sessionId);
+    return res.status(401).json({ result: false, code: AUTH_ERROR_CODES.AccountDeleted, message: "Account has been deleted" });
+  }
+
+  // The role may have been taken away since an admin session started.
+  if (tokens.kind === SESSION_KINDS.Admin && (!user || !canAccessCms(user.role))) {
+    await revokeSession(tokens.sessionId);
+    return res.status(403).json({ result: false, message: "You are not allowed to access the CMS" });
+  }
+
+  res.status(200).json({ result: true, role: user && user.role, ...tokens });
+});
+
+exports.signOutAdmin = asyncHandler(async (req, res, next) => {
+  if (req.authSession) {
+    await revokeSession(req.authSession._id);
+  }
+
+  res.status(200).json({ result: true });
+});
+
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await getActiveSessions(req.user._id);
+
+  res.status(200).json({ sessions: toSessionList(sessions, req.authSession) });
+});
+
+exports.revokeMySession = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    return res.status(404).json({ result: false, message: "Session not found" });
+  }
+
+  const result = await revokeSession(req.params.sessionId, req.user._id);
+
+  if (result.modifiedCount === 0) {
+    return res.status(404).json({ result: false, message: "Session not found" });
+  }
+
+  res.status(200).json({ result: true });
+});
+
+exports.getSessionsAdmin = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ result: false, message: "User not found" });
+  }
+
+  const sessions = await getActiveSessions(req.params.id);
+
+  res.status(200).json({ sessions: toSessionList(sessions) });
+});
+
+exports.revokeSessionAdmin = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    return res.status(404).json({ result: false, message: "Session not found" });
+  }
+
+  const result = await revokeSession(req.params.sessionId, req.params.id);
+
+  if (result.modifiedCount === 0) {
+    return res.status(404).json({ result: false, message: "Session not found" });
+  }
+
+  res.status(200).json({ result: true });
+});
+
+exports.revokeSessionsAdmin = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ result: false, message: "User not found" });
+  }
+
+  const result = await revokeUserSessions(req.params.id);
+
+  res.status(200).json({ result: true, revoked: result.modifiedCount });
+});
@@ -0,0 +1,185 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const Campaign = require("../models/campaignModel");
+const { CAMPAIGN_STATUS } = require("../utils/enum/notification");
+const { parseSegment, countAudience, sendCampaignNow } = require("../utils/campaigns");
+const { workoutDayLink } = require("../utils/notifications");
+const { httpError } = require("../utils/httpError");
+
+// Campaigns that have not gone out yet can still be edited.
+const EDITABLE_STATUSES = [CAMPAIGN_STATUS.Draft, CAMPAIGN_STATUS.Scheduled];
+
+const MAX_PER_PAGE = 100;
+
+const findCampaign = (id) => (mongoose.Types.ObjectId.isValid(id) ? Campaign.findById(id) : null);
+
+const DAY_FIELDS = ["monthIndex", "weekIndex", "dayIndex"];
+
+// A workout day to open from the push: monthIndex, and optionally weekIndex
+// and dayIndex.
+const parseWorkoutDay = (day) => {
+  const invalid =
+    typeof day !== "object" ||
+    day === null ||
+    day.monthIndex === undefined ||
+    DAY_FIELDS.some((field) => day[field] !== undefined && !(Number.isInteger(day[field]) && day[field] >= 0));
+
+  if (invalid) {
+    throw httpError(400, "workoutDay must have a monthIndex, and may have a weekIndex and dayIndex");
+  }
+
+  return workoutDayLink(day);
+};
+
+const parseContent = (body, campaign = {}) => {
+  const title = body.title !== undefined ? body.title : campaign.title;
+  const text = body.body !== undefined ? body.body : campaign.body;
+
+  if (!title || !text) {
+    throw httpError(400, "title and body are required");
+  }
+
+  if (body.data !== undefined && (typeof body.data !== "object" || Array.isArray(body.data))) {
+    throw httpError(400, "data must be an object");
+  }
+
+  let data = body.data !== undefined ? body.data : campaign.data;
+  if (body.workoutDay !== undefined) {
+    data = { ...data, ...parseWorkoutDay(body.workoutDay) };
+  }
+
+  return { title, body: text, data };
+};
+
+exports.getCampaigns = asyncHandler(async (req, res, next) => {
+  const { status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 10, 1), MAX_PER_PAGE);
+  const query = status ? { status } : {};
+
+  const [count, campaigns] = await Promise.all([
+    Campaign.countDocuments(query),
+    Campaign.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate("createdBy sentBy", "name email"),
+  ]);
+
+  res.status(200).json({ count, campaigns });
+});
+
+exports.getCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({ message: "Campaign not found" });
+  }
+
+  await campaign.populate("createdBy sentBy", "name email");
+  res.status(200).json(campaign);
+});
+
+exports.createCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await Campaign.create({
+    ...parseContent(req.body),
+    segment: parseSegment(req.body.segment),
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({ result: true, campaign });
+});
+
+exports.updateCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({ message: "Campaign not found" });
+  }
+
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    return res.status(409).json({ message: `A campaign in ${campaign.status} cannot be edited` });
+  }
+
+  campaign.set(parseContent(req.body, campaign));
+  if (req.body.segment !== undefined) {
+    campaign.segment = parseSegment(req.body.segment);
+  }
+  await campaign.save();
+
+  res.status(200).json({ result: true, campaign });
+});
+
+exports.deleteCampaign = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "Campaign not found" });
+  }
+
+  const result = await Campaign.deleteOne({ _id: req.params.id, status: CAMPAIGN_STATUS.Draft });
+
+  res.status(200).json({ result: result.deletedCount > 0 });
+});
+
+// Number of users the segment of a campaign currently matches.
+exports.getCampaignAudience = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({ message: "Campaign not found" });
+  }
+
+  res.status(200).json({ users: await countAudience(campaign) });
+});
+
+exports.sendCampaign = asyncHandler(async (req, res, next) => {
+  const { sendAt } = req.body;
+  const campaign = await findCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({ message: "Campaign not found" });
+  }
+
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    return res.status(409).json({ message: `The campaign is already ${campaign.status}` });
+  }
+
+  if (sendAt) {
+    const date = new Date(sendAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      res.status(400);
+      throw new Error("sendAt must be a date in the future");
+    }
+
+    campaign.status = CAMPAIGN_STATUS.Scheduled;
+    campaign.scheduledAt = date;
+    await campaign.save();
+
+    return res.status(200).json({ result: true, status: campaign.status, scheduledAt: campaign.scheduledAt });
+  }
+
+  const sent = await sendCampaignNow(campaign, req.user);
+
+  if (!sent) {
+    return res.status(409).json({ message: "The campaign is already being sent" });
+  }
+
+  res.status(200).json({ result: sent.status === CAMPAIGN_STATUS.Sent, status: sent.status, stats: sent.stats });
+});
+
+exports.cancelCampaign = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "Scheduled campaign not found" });
+  }
+
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: req.params.id, status: CAMPAIGN_STATUS.Scheduled },
+    { status: CAMPAIGN_STATUS.Draft, $unset: { scheduledAt: 1 } },
+    { new: true }
+  );
+
+  if (!campaign) {
+    return res.status(404).json({ message: "Scheduled campaign not found" });
+  }
+
+  res.status(200).json({ result: true });
+});
@@ -1,5 +1,6 @@
 const asyncHandler = require("express-async-handler");
 const Category = require("../models/categoryModel");
+const { escapeRegex } = require("../utils/regex");
 const Exercise = require("../models/exerciseModel");
 const { uploadImage } = require("../utils/files/google/gcs");
 
@@ -12,7 +13,7 @@ exports.getCategoriesAdmin = asyncHandler(async (req, res, next) => {
       pipeline.push({
         $match: {
           $or: [
-            { title: { $regex: new RegExp(search, "i") } },
+            { title: { $regex: new RegExp(escapeRegex(search), "i") } },
           ],
         },
       });
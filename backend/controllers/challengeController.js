@@ -1,5 +1,6 @@
 const asyncHandler = require('express-async-handler');
 const Challenge = require('../models/challengeModel');
+const { escapeRegex } = require('../utils/regex');
 const { uploadImage } = require('../utils/files/google/gcs');
 
 exports.getChallengesAdmin = asyncHandler(async (req, res, next) => {
@@ -10,7 +11,7 @@ exports.getChallengesAdmin = asyncHandler(async (req, res, next) => {
     if (search) {
       pipeline.push({
         $match: {
-          $or: [{ title: { $regex: new RegExp(search, 'i') } }],
+          $or: [{ title: { $regex: new RegExp(escapeRegex(search), 'i') } }],
         },
       });
     }
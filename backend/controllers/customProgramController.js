@@ -0,0 +1,134 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const Month = require("../models/workoutModel");
+const UpdatedMonth = require("../models/updatedWorkoutModel");
+const { getEstTime } = require("../utils/date");
+const { diffMonths, cloneMonthForUser, resetWeeks } = require("../utils/program");
+
+// Plans created before cloning existed have no sourceMonthId and are matched
+// to the master month at the same index.
+const findMasterMonth = (customMonth) =>
+  customMonth.sourceMonthId
+    ? Month.findById(customMonth.sourceMonthId)
+    : Month.findOne({ index: customMonth.index });
+
+const findCurrentMonths = () => {
+  const estNow = getEstTime();
+
+  return Month.find({
+    $and: [
+      { $or: [{ startDate: { $lte: estNow } }, { startDate: null }] },
+      { $or: [{ endDate: { $gte: estNow } }, { endDate: null }] }
+    ]
+  });
+};
+
+exports.getUserMonths = asyncHandler(async (req, res, next) => {
+  if (!Number.isInteger(Number(req.params.uid))) {
+    res.status(400);
+    throw new Error("uid must be a number");
+  }
+
+  const months = await UpdatedMonth.find({ uid: req.params.uid }).sort({ index: 1 });
+
+  res.status(200).json({ months });
+});
+
+exports.cloneMonths = asyncHandler(async (req, res, next) => {
+  const uid = Number(req.params.uid);
+  const { monthIds, overwrite = false } = req.body;
+
+  if (!Number.isInteger(uid)) {
+    res.status(400);
+    throw new Error("uid must be a number");
+  }
+
+  if (
+    monthIds !== undefined &&
+    (!Array.isArray(monthIds) || monthIds.some((id) => !mongoose.Types.ObjectId.isValid(id)))
+  ) {
+    res.status(400);
+    throw new Error("monthIds must be an array of month ids");
+  }
+
+  const masterMonths = monthIds && monthIds.length
+    ? await Month.find({ _id: { $in: monthIds } })
+    : await findCurrentMonths();
+
+  if (!masterMonths.length) {
+    return res.status(404).json({ result: false, message: "Workout not found" });
+  }
+
+  // Plans created before cloning existed are matched by index, as in findMasterMonth.
+  const existingMonths = await UpdatedMonth.find({
+    uid,
+    $or: [
+      { sourceMonthId: { $in: masterMonths.map((month) => month._id) } },
+      { sourceMonthId: null, index: { $in: masterMonths.map((month) => month.index) } },
+    ],
+  });
+
+  if (existingMonths.length && !overwrite) {
+    return res.status(409).json({
+      result: false,
+      message: "The user already has a plan for these months",
+      monthIds: existingMonths.map((month) => month._id),
+    });
+  }
+
+  await UpdatedMonth.deleteMany({ _id: { $in: existingMonths.map((month) => month._id) } });
+  const months = await UpdatedMonth.insertMany(
+    masterMonths.map((month) => cloneMonthForUser(month, uid))
+  );
+
+  res.status(200).json({ result: true, months });
+});
+
+exports.diffUserMonths = asyncHandler(async (req, res, next) => {
+  const { monthId } = req.query;
+  const query = { uid: req.params.uid };
+  if (monthId) query._id = monthId;
+
+  if (Number.isNaN(Number(req.params.uid)) || (monthId && !mongoose.Types.ObjectId.isValid(monthId))) {
+    res.status(400);
+    throw new Error("uid or monthId is not valid");
+  }
+
+  const customMonths = await UpdatedMonth.find(query).sort({ index: 1 });
+
+  const diffs = await Promise.all(
+    customMonths.map(async (customMonth) => diffMonths(await findMasterMonth(customMonth), customMonth))
+  );
+
+  res.status(200).json({ diffs });
+});
+
+exports.resetUserMonth = asyncHandler(async (req, res, next) => {
+  const { monthId, weekIndexes } = req.body;
+
+  if (weekIndexes !== undefined && !Array.isArray(weekIndexes)) {
+    res.status(400);
+    throw new Error("weekIndexes must be an array of week numbers");
+  }
+
+  if (Number.isNaN(Number(req.params.uid)) || !mongoose.Types.ObjectId.isValid(monthId)) {
+    res.status(400);
+    throw new Error("uid or monthId is not valid");
+  }
+
+  const customMonth = await UpdatedMonth.findOne({ _id: monthId, uid: req.params.uid });
+  if (!customMonth) {
+    return res.status(404).json({ result: false, message: "Workout not found" });
+  }
+
+  const masterMonth = await findMasterMonth(customMonth);
+  if (!masterMonth) {
+    return res.status(404).json({ result: false, message: "Master workout not found" });
+  }
+
+  const reset = resetWeeks(customMonth, masterMonth, weekIndexes && weekIndexes.map(Number));
+  customMonth.sourceMonthId = masterMonth._id;
+  await customMonth.save();
+
+  res.status(200).json({ result: true, reset, month: customMonth });
+});
@@ -0,0 +1,75 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const User = require("../models/userModel");
+const DataExport = require("../models/dataExportModel");
+const {
+  DATA_EXPORT_POLICY,
+  getArchiveName,
+  countRecords,
+  buildArchive,
+  requestExport,
+  processPendingExports,
+  describeExport,
+} = require("../utils/dataExport");
+
+const processInBackground = () => {
+  setImmediate(() => {
+    processPendingExports().catch((error) => console.error("Error processing data exports:", error));
+  });
+};
+
+// Small exports are downloaded right away. Larger ones, or any export with
+// ?async=true, are queued and polled through the status endpoint.
+const exportUserData = async (req, res, user) => {
+  const records = await countRecords(user);
+
+  if (req.query.async !== "true" && records <= DATA_EXPORT_POLICY.syncMaxRecords) {
+    const archive = await buildArchive(user);
+
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${getArchiveName()}"`,
+    });
+    return res.status(200).send(archive);
+  }
+
+  const dataExport = await requestExport(user, req.user);
+  processInBackground();
+
+  res.status(202).json({ result: true, export: await describeExport(dataExport) });
+};
+
+const findExport = (userId, exportId) =>
+  mongoose.Types.ObjectId.isValid(exportId)
+    ? DataExport.findOne({ _id: exportId, user: userId })
+    : null;
+
+const sendExport = async (res, dataExport) => {
+  if (!dataExport) {
+    return res.status(404).json({ result: false, message: "Export not found" });
+  }
+
+  res.status(200).json({ result: true, export: await describeExport(dataExport) });
+};
+
+exports.exportMyData = asyncHandler(async (req, res, next) => {
+  await exportUserData(req, res, req.user);
+});
+
+exports.getMyExport = asyncHandler(async (req, res, next) => {
+  await sendExport(res, await findExport(req.user._id, req.params.exportId));
+});
+
+exports.exportUserDataAdmin = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ _id: req.params.id });
+
+  if (!user) {
+    return res.status(404).json({ result: false, message: "User not found" });
+  }
+
+  await exportUserData(req, res, user);
+});
+
+exports.getUserExportAdmin = asyncHandler(async (req, res, next) => {
+  await sendExport(res, await findExport(req.params.id, req.params.exportId));
+});
@@ -0,0 +1,35 @@
+const asyncHandler = require("express-async-handler");
+const { DEVICE_PLATFORMS } = require("../utils/enum/device");
+const { registerDevice, unregisterDevice } = require("../utils/devices");
+
+exports.getDevices = asyncHandler(async (req, res, next) => {
+  res.status(200).json({ devices: req.user.devices });
+});
+
+exports.registerDevice = asyncHandler(async (req, res, next) => {
+  const { token, platform, appVersion, locale } = req.body;
+
+  if (!token) {
+    res.status(400);
+    throw new Error("Please add token");
+  }
+
+  if (platform && !Object.values(DEVICE_PLATFORMS).includes(platform)) {
+    res.status(400);
+    throw new Error(`Platform must be one of: ${Object.values(DEVICE_PLATFORMS).join(", ")}`);
+  }
+
+  const device = await registerDevice(req.user, { token, platform, appVersion, locale });
+
+  res.status(200).json({ result: true, device });
+});
+
+exports.unregisterDevice = asyncHandler(async (req, res, next) => {
+  const removed = await unregisterDevice(req.user, req.params.token);
+
+  if (!removed) {
+    return res.status(404).json({ result: false, message: "Device not found" });
+  }
+
+  res.status(200).json({ result: true });
+});
@@ -1,6 +1,25 @@
 const asyncHandler = require("express-async-handler");
 const { uploadImage } = require("../utils/files/google/gcs");
 const Equipment = require("../models/equipmentModel");
+const { escapeRegex } = require("../utils/regex");
+const { EQUIPMENT_PRESETS } = require("../utils/enum/equipment");
+
+// Presets come as a JSON list in the multipart body. Returns undefined when
+// none were sent and null when they are not valid.
+const parsePresets = (value) => {
+  if (value === undefined || value === "") return undefined;
+
+  try {
+    const presets = JSON.parse(value);
+    const valid =
+      Array.isArray(presets) && presets.every((preset) => Object.values(EQUIPMENT_PRESETS).includes(preset));
+    return valid ? presets : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const invalidPresetsMessage = `presets must be a JSON list of: ${Object.values(EQUIPMENT_PRESETS).join(", ")}`;
 
 exports.getEquipmentsAdmin = asyncHandler(async (req, res, next) => {
   try {
@@ -12,8 +31,8 @@ exports.getEquipmentsAdmin = asyncHandler(async (req, res, next) => {
       pipeline.push({
         $match: {
           $or: [
-            { title: { $regex: new RegExp(search, "i") } },
-            { description: { $regex: new RegExp(search, "i") } },
+            { title: { $regex: new RegExp(escapeRegex(search), "i") } },
+            { description: { $regex: new RegExp(escapeRegex(search), "i") } },
           ],
         },
       });
@@ -94,6 +113,11 @@ exports.getEquipmentTitlesAdmin = asyncHandler(async (req, res, next) => {
 });
 
 exports.addEquipmentAdmin = asyncHandler(async (req, res, next) => {
+  const presets = parsePresets(req.body.presets);
+  if (presets === null) {
+    return res.status(400).json({ result: false, message: invalidPresetsMessage });
+  }
+
   try {
     const { title, description, link } = req.body;  
     const documentToInsert = {
@@ -101,6 +125,7 @@ exports.addEquipmentAdmin = asyncHandler(async (req, res, next) => {
       description,
       link,
     };
+    if (presets) documentToInsert.presets = presets;
     if (req.files[0]?.buffer)
       {
        const imageUrl = await uploadImage(req.files[0].buffer);
@@ -112,10 +137,16 @@ exports.addEquipmentAdmin = asyncHandler(async (req, res, next) => {
     else res.status(200).json({ result: false });
   } catch (error) {
     console.log(error);
+    res.status(500).json({ result: false, message: error.message });
   }
 });
 
 exports.updateEquipmentAdmin = asyncHandler(async (req, res, next) => {
+  const presets = parsePresets(req.body.presets);
+  if (presets === null) {
+    return res.status(400).json({ result: false, message: invalidPresetsMessage });
+  }
+
   try {
     const { _id, title, description, link } = req.body;
     let thumbnail;
@@ -132,8 +163,10 @@ exports.updateEquipmentAdmin = asyncHandler(async (req, res, next) => {
         title: title
         ,description: description
         ,link: link
-        ,thumbnail: thumbnail,
-      }
+        ,thumbnail: thumbnail
+        ,presets: presets,
+      },
+      { runValidators: true }
     );
 
     console.log("Document updated successfully:", result);
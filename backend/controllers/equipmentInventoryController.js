@@ -0,0 +1,49 @@
+const asyncHandler = require("express-async-handler");
+const { EQUIPMENT_LOCATIONS, EQUIPMENT_PRESETS } = require("../utils/enum/equipment");
+const {
+  saveSetup,
+  removeSetup,
+  setActiveLocation,
+  describeSetups,
+} = require("../utils/equipmentInventory");
+
+exports.getMyEquipment = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    ...(await describeSetups(req.user)),
+    locations: Object.values(EQUIPMENT_LOCATIONS),
+    presets: Object.values(EQUIPMENT_PRESETS),
+  });
+});
+
+exports.saveMyEquipment = asyncHandler(async (req, res, next) => {
+  const { preset, equipments } = req.body;
+
+  if (!preset && equipments === undefined) {
+    res.status(400);
+    throw new Error("Please add a preset or equipments");
+  }
+
+  await saveSetup(req.user, req.params.location, { preset, equipments });
+
+  res.status(200).json({ result: true, ...(await describeSetups(req.user)) });
+});
+
+exports.deleteMyEquipment = asyncHandler(async (req, res, next) => {
+  const removed = await removeSetup(req.user, req.params.location);
+
+  if (!removed) {
+    return res.status(404).json({ result: false, message: "Setup not found" });
+  }
+
+  res.status(200).json({ result: true });
+});
+
+exports.activateMyEquipment = asyncHandler(async (req, res, next) => {
+  const activated = await setActiveLocation(req.user, req.params.location);
+
+  if (!activated) {
+    return res.status(404).json({ result: false, message: "Setup not found" });
+  }
+
+  res.status(200).json({ result: true, activeLocation: req.user.activeEquipmentLocation });
+});
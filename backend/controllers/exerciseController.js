@@ -4,84 +4,53 @@ const { uploadImage } = require("../utils/files/google/gcs");
 const Exercise = require("../models/exerciseModel");
 const Equipment = require("../models/equipmentModel");
 const Category = require("../models/categoryModel");
+const { escapeRegex } = require("../utils/regex");
+const {
+  buildExerciseConditions,
+  buildExercisePipeline,
+  withCounts,
+} = require("../utils/exerciseQuery");
+const { markFavorited } = require("../utils/favorites");
+const { FAVORITE_TYPES } = require("../utils/enum/favorite");
+
+const MAX_PER_PAGE = 100;
+
+// Faceted search of the exercise library, for the CMS and the app. Each
+// category and equipment comes with the number of exercises it would match.
 exports.getExercisesAdmin = asyncHandler(async (req, res, next) => {
-  try {
-    var { page = 1, perPage = 10, search, sortBy } = req.query;
+  const { sortBy } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 10, 1), MAX_PER_PAGE);
 
-    const filterCategoriesString = req.query.filterCategoriesString || "";
+  const filterCategoriesString = req.query.filterCategoriesString || "";
+  const filterEquipmentString = req.query.filterEquipmentString || "";
 
-    const filteredCategorys = await Category.find(
-      { title: { $regex: filterCategoriesString, $options: "i" } },
+  const [conditions, filteredCategorys, filteredEquipments] = await Promise.all([
+    buildExerciseConditions(req.query),
+    Category.find(
+      { title: { $regex: escapeRegex(filterCategoriesString), $options: "i" } },
       { title: 1, _id: 1 }
-    );
-
-    const filterEquipmentString = req.query.filterEquipmentString || "";
-    
-    const filteredEquipments = await Equipment.find(
-      { title: { $regex: filterEquipmentString, $options: "i" } },
+    ).sort({ title: 1 }),
+    Equipment.find(
+      { title: { $regex: escapeRegex(filterEquipmentString), $options: "i" } },
       { title: 1, _id: 1 }
-    );
-
-    const pipeline = [];
-
-    if (search) {
-      pipeline.push({
-        $match: {
-          $or: [
-            { title: { $regex: new RegExp(search, "i") } },
-            { description: { $regex: new RegExp(search, "i") } },
-            { vimeoId: { $regex: new RegExp(search, "i") } },
-          ],
-        },
-      });
-    }
-
-    const totalCount = [
-      {
-        $count: "totalMatchingDocuments",
-      },
-    ];
-
-    const pipelineExercises = [];
-
-    if (sortBy) {
-      var order = getSortInfo(sortBy);
-
-      pipelineExercises.push({
-        $sort: order,
-      });
-    }
-
-    // Pagination
-    if (perPage && page) {
-      const skip = (page - 1) * perPage;
-      pipelineExercises.push({ $skip: skip });
-      pipelineExercises.push({ $limit: parseInt(perPage) });
-    }
-
-    const facet = {
-      $facet: {
-        populatedExercises: pipelineExercises,
-        totalCount: totalCount,
-      },
-    };
-    pipeline.push(facet);
-
-    const results = await Exercise.aggregate(pipeline);
-
-    var exercises = [];
-
-    if (results.length != 0) {
-      exercises = results[0].populatedExercises;
-
-      if (results[0].totalCount.length != 0)
-        count = results[0].totalCount[0].totalMatchingDocuments;
-    }
-
-    res.status(200).json({ exercises: exercises, categories: filteredCategorys, equipments: filteredEquipments });
-  } catch (error) {
-    console.log(error);
-  }
+    ).sort({ title: 1 }),
+  ]);
+
+  const [results] = await Exercise.aggregate(
+    buildExercisePipeline(conditions, {
+      sort: getSortInfo(sortBy),
+      skip: (page - 1) * perPage,
+      limit: perPage,
+    })
+  );
+
+  res.status(200).json({
+    count: results.totalCount.length ? results.totalCount[0].total : 0,
+    exercises: await markFavorited(req.user, FAVORITE_TYPES.Exercise, results.exercises),
+    categories: withCounts(filteredCategorys, results.categoryCounts),
+    equipments: withCounts(filteredEquipments, results.equipmentCounts),
+  });
 });
 
 exports.getExerciseAdmin = asyncHandler(async (req, res, next) => {
@@ -90,7 +59,8 @@ exports.getExerciseAdmin = asyncHandler(async (req, res, next) => {
     .populate("relatedExercises")
     .populate("usedEquipments");
 
-    res.status(200).json(exercise);
+    const [favorited] = await markFavorited(req.user, FAVORITE_TYPES.Exercise, [exercise]);
+    res.status(200).json(favorited);
   } catch (error) {
     console.log(error);
   }
@@ -145,7 +115,8 @@ const getSortInfo = (sortBy) => {
       break;
   }
 
-  return { [orderBy]: orderDir };
+  // _id keeps the order of equal values stable from one page to the next.
+  return { [orderBy]: orderDir, _id: 1 };
 };
 
 
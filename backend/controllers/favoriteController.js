@@ -0,0 +1,73 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const { FAVORITE_TYPES } = require("../utils/enum/favorite");
+const {
+  parseFavorite,
+  addFavorite,
+  removeFavorite,
+  listFavorites,
+  reorderFavorites,
+} = require("../utils/favorites");
+
+const MAX_PER_PAGE = 100;
+
+exports.getFavorites = asyncHandler(async (req, res, next) => {
+  const { type } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 20, 1), MAX_PER_PAGE);
+
+  if (type && !Object.values(FAVORITE_TYPES).includes(type)) {
+    res.status(400);
+    throw new Error(`type must be one of: ${Object.values(FAVORITE_TYPES).join(", ")}`);
+  }
+
+  const { count, favorites } = await listFavorites(req.user, { type, page, perPage });
+
+  res.status(200).json({ count, page, perPage, favorites });
+});
+
+exports.addFavorite = asyncHandler(async (req, res, next) => {
+  const favorite = await addFavorite(req.user, parseFavorite(req.body));
+
+  res.status(200).json({ result: true, favorite });
+});
+
+// Removes a favorite by its id.
+exports.removeFavorite = asyncHandler(async (req, res, next) => {
+  const removed =
+    mongoose.Types.ObjectId.isValid(req.params.id) && (await removeFavorite(req.user, { _id: req.params.id }));
+
+  if (!removed) {
+    return res.status(404).json({ result: false, message: "Favorite not found" });
+  }
+
+  res.status(200).json({ result: true });
+});
+
+// Removes a favorite by what it points to, as the library only knows the item.
+exports.removeFavoriteItem = asyncHandler(async (req, res, next) => {
+  const { key } = parseFavorite(req.query);
+  const removed = await removeFavorite(req.user, { key });
+
+  if (!removed) {
+    return res.status(404).json({ result: false, message: "Favorite not found" });
+  }
+
+  res.status(200).json({ result: true });
+});
+
+exports.reorderFavorites = asyncHandler(async (req, res, next) => {
+  const { ids } = req.body;
+
+  if (!Array.isArray(ids) || !ids.length) {
+    res.status(400);
+    throw new Error("ids must be a list of favorite ids");
+  }
+
+  const favorites = await reorderFavorites(req.user, ids);
+
+  res.status(200).json({
+    result: true,
+    favorites: favorites.map((favorite) => ({ _id: favorite._id, position: favorite.position })),
+  });
+});
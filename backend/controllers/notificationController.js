@@ -0,0 +1,62 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const Notification = require("../models/notificationModel");
+
+const MAX_PER_PAGE = 100;
+
+exports.getNotifications = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 20, 1), MAX_PER_PAGE);
+  const query = { user: req.user._id };
+
+  if (req.query.unread === "true") {
+    query.readAt = null;
+  }
+
+  const [count, unread, notifications] = await Promise.all([
+    Notification.countDocuments(query),
+    Notification.countDocuments({ user: req.user._id, readAt: null }),
+    Notification.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+  ]);
+
+  res.status(200).json({ count, unread, page, perPage, notifications });
+});
+
+exports.getUnreadCount = asyncHandler(async (req, res, next) => {
+  const unread = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+  res.status(200).json({ unread });
+});
+
+const setRead = (read) =>
+  asyncHandler(async (req, res, next) => {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.findOneAndUpdate(
+          { _id: req.params.id, user: req.user._id },
+          { readAt: read ? new Date() : null },
+          { new: true }
+        )
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({ result: false, message: "Notification not found" });
+    }
+
+    res.status(200).json({ result: true, notification });
+  });
+
+exports.markAsRead = setRead(true);
+
+exports.markAsUnread = setRead(false);
+
+exports.markAllAsRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  res.status(200).json({ result: true, updated: result.modifiedCount });
+});
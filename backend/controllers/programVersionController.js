@@ -0,0 +1,122 @@
+const asyncHandler = require("express-async-handler");
+const ProgramVersion = require("../models/programVersionModel");
+const { PROGRAM_VERSION_STATUS } = require("../utils/enum/program");
+const {
+  saveDraft,
+  publishVersion,
+  scheduleVersion,
+  rollbackToVersion,
+} = require("../utils/programVersion");
+
+const MAX_PER_PAGE = 100;
+
+exports.getVersions = asyncHandler(async (req, res, next) => {
+  const { status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 10, 1), MAX_PER_PAGE);
+  const query = status ? { status } : {};
+
+  const [count, versions] = await Promise.all([
+    ProgramVersion.countDocuments(query),
+    ProgramVersion.find(query)
+      .select("-months")
+      .sort({ version: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate("createdBy publishedBy", "name email"),
+  ]);
+
+  res.status(200).json({ count, versions });
+});
+
+exports.getVersion = asyncHandler(async (req, res, next) => {
+  const version = await ProgramVersion.findById(req.params.id)
+    .populate("months.weeks.days.exercises.exerciseId", "title");
+
+  if (!version) {
+    return res.status(404).json({ message: "Version not found" });
+  }
+
+  res.status(200).json(version);
+});
+
+exports.getDraft = asyncHandler(async (req, res, next) => {
+  const draft = await ProgramVersion.findOne({ status: PROGRAM_VERSION_STATUS.Draft })
+    .populate("months.weeks.days.exercises.exerciseId", "title");
+
+  res.status(200).json({ draft });
+});
+
+exports.saveDraft = asyncHandler(async (req, res, next) => {
+  const { months, note } = req.body;
+
+  if (!Array.isArray(months)) {
+    return res.status(400).json({ message: "Invalid input data: months array is empty or not an array" });
+  }
+
+  const draft = await saveDraft(months, { user: req.user, note });
+
+  res.status(200).json({ result: true, draft });
+});
+
+exports.publishDraft = asyncHandler(async (req, res, next) => {
+  const { publishAt } = req.body;
+  const draft = await ProgramVersion.findOne({ status: PROGRAM_VERSION_STATUS.Draft });
+
+  if (!draft) {
+    return res.status(404).json({ message: "There is no draft to publish" });
+  }
+
+  if (publishAt) {
+    const date = new Date(publishAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      res.status(400);
+      throw new Error("publishAt must be a date in the future");
+    }
+
+    const version = await scheduleVersion(draft, date);
+    return res.status(200).json({ result: true, version: version.version, status: version.status, publishAt: version.publishAt });
+  }
+
+  const version = await publishVersion(draft, req.user);
+  res.status(200).json({ result: true, version: version.version, status: version.status });
+});
+
+exports.cancelSchedule = asyncHandler(async (req, res, next) => {
+  const version = await ProgramVersion.findOne({ _id: req.params.id, status: PROGRAM_VERSION_STATUS.Scheduled });
+
+  if (!version) {
+    return res.status(404).json({ message: "Scheduled version not found" });
+  }
+
+  if (await ProgramVersion.exists({ status: PROGRAM_VERSION_STATUS.Draft })) {
+    return res.status(409).json({ message: "Publish or discard the open draft first" });
+  }
+
+  version.status = PROGRAM_VERSION_STATUS.Draft;
+  version.publishAt = undefined;
+  await version.save();
+
+  res.status(200).json({ result: true });
+});
+
+exports.discardDraft = asyncHandler(async (req, res, next) => {
+  const result = await ProgramVersion.deleteOne({ status: PROGRAM_VERSION_STATUS.Draft });
+
+  res.status(200).json({ result: result.deletedCount > 0 });
+});
+
+exports.rollbackVersion = asyncHandler(async (req, res, next) => {
+  const version = await ProgramVersion.findOne({
+    _id: req.params.id,
+    status: { $in: [PROGRAM_VERSION_STATUS.Published, PROGRAM_VERSION_STATUS.Archived] },
+  });
+
+  if (!version) {
+    return res.status(404).json({ message: "Version not found" });
+  }
+
+  const published = await rollbackToVersion(version, req.user);
+
+  res.status(200).json({ result: true, version: published.version });
+});
@@ -2,6 +2,9 @@ const asyncHandler = require("express-async-handler");
 const mongoose = require("mongoose");
 
 const Restday = require("../models/restdayModel");
+const { markFavorited } = require("../utils/favorites");
+const { FAVORITE_TYPES } = require("../utils/enum/favorite");
+const { escapeRegex } = require("../utils/regex");
 
 exports.getRestdaysAdmin = asyncHandler(async (req, res, next) => {
   try {
@@ -13,8 +16,8 @@ exports.getRestdaysAdmin = asyncHandler(async (req, res, next) => {
       pipeline.push({
         $match: {
           $or: [
-            { title: { $regex: new RegExp(search, "i") } },
-            { description: { $regex: new RegExp(search, "i") } },
+            { title: { $regex: new RegExp(escapeRegex(search), "i") } },
+            { description: { $regex: new RegExp(escapeRegex(search), "i") } },
           ],
         },
       });
@@ -63,7 +66,7 @@ exports.getRestdaysAdmin = asyncHandler(async (req, res, next) => {
         count = results[0].totalCount[0].totalMatchingDocuments;
     }
 
-    res.status(200).json({ count: count, restdays: restdays });
+    res.status(200).json({ count: count, restdays: await markFavorited(req.user, FAVORITE_TYPES.Restday, restdays) });
   } catch (error) {
     console.log(error);
   }
@@ -72,7 +75,9 @@ exports.getRestdaysAdmin = asyncHandler(async (req, res, next) => {
 exports.getRestdayAdmin = asyncHandler(async (req, res, next) => {
   try {
     const restday = await Restday.findOne({ _id: req.params.id });
-    res.status(200).json(restday);
+
+    const [favorited] = await markFavorited(req.user, FAVORITE_TYPES.Restday, [restday]);
+    res.status(200).json(favorited);
   } catch (error) {
     console.log(error);
   }
@@ -0,0 +1,34 @@
+const asyncHandler = require("express-async-handler");
+const { searchCatalog, getSearchableTypes } = require("../utils/search");
+const { SEARCH_TYPES } = require("../utils/enum/search");
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_LIMIT = 50;
+
+// Searches exercises, warmups, rest days, equipment, categories, staff and
+// challenges at once; ?types=exercise,warmup narrows it down. Exercises and
+// warmups are left out for users without a subscription that includes them.
+exports.searchContent = asyncHandler(async (req, res, next) => {
+  const query = String(req.query.q || "").trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_LIMIT);
+
+  if (!query || query.length > MAX_QUERY_LENGTH) {
+    res.status(400);
+    throw new Error(`q is required and must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const types = req.query.types
+    ? String(req.query.types).split(",").map((type) => type.trim()).filter(Boolean)
+    : Object.values(SEARCH_TYPES);
+
+  const unknown = types.filter((type) => !Object.values(SEARCH_TYPES).includes(type));
+  if (unknown.length) {
+    res.status(400);
+    throw new Error(`types must be among: ${Object.values(SEARCH_TYPES).join(", ")}`);
+  }
+
+  const searchable = await getSearchableTypes(req.user, [...new Set(types)]);
+  const results = searchable.length ? await searchCatalog(query, { types: searchable, limit }) : [];
+
+  res.status(200).json({ count: results.length, results });
+});
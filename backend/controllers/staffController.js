@@ -1,5 +1,6 @@
 const asyncHandler = require("express-async-handler");
 const Staff = require("../models/staffModel");
+const { escapeRegex } = require("../utils/regex");
 const { uploadImage } = require("../utils/files/google/gcs");
 
 exports.getStaffsAdmin = asyncHandler(async (req, res, next) => {
@@ -11,7 +12,7 @@ exports.getStaffsAdmin = asyncHandler(async (req, res, next) => {
       pipeline.push({
         $match: {
           $or: [
-            { title: { $regex: new RegExp(search, "i") } },
+            { title: { $regex: new RegExp(escapeRegex(search), "i") } },
           ],
         },
       });
@@ -0,0 +1,46 @@
+const asyncHandler = require("express-async-handler");
+const StreakMilestone = require("../models/streakMilestoneModel");
+const { getEstDayKey } = require("../utils/date");
+const { STREAK_POLICY, getStreak, refreshStreak, isStreakStale, getCalendar } = require("../utils/streak");
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CALENDAR_DAYS = 366;
+
+// Reads store the streak at most once a day; finishing a workout stores it too.
+const readStreak = (user) => (isStreakStale(user) ? refreshStreak(user) : getStreak(user));
+
+exports.getStreak = asyncHandler(async (req, res, next) => {
+  const streak = await readStreak(req.user);
+  const milestones = await StreakMilestone.find({ user: req.user._id }).sort({ reachedOn: -1 });
+
+  res.status(200).json({
+    current: streak.current,
+    longest: req.user.streak.longest,
+    streakStart: streak.streakStart,
+    lastActiveDate: streak.lastActiveDate,
+    policy: STREAK_POLICY,
+    milestones,
+  });
+});
+
+exports.getStreakCalendar = asyncHandler(async (req, res, next) => {
+  const today = getEstDayKey();
+  const { from = `${today.slice(0, 7)}-01`, to = today } = req.query;
+
+  if (!DAY_KEY.test(from) || !DAY_KEY.test(to) || from > to) {
+    res.status(400);
+    throw new Error("from and to must be dates formatted as YYYY-MM-DD, from before to");
+  }
+
+  if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= MAX_CALENDAR_DAYS) {
+    res.status(400);
+    throw new Error(`The calendar covers at most ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  const streak = await readStreak(req.user);
+
+  res.status(200).json({
+    current: streak.current,
+    days: getCalendar(streak, from, to),
+  });
+});
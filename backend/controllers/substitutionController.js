@@ -0,0 +1,65 @@
+const asyncHandler = require("express-async-handler");
+const Exercise = require("../models/exerciseModel");
+const { SUBSTITUTION_SCOPES } = require("../utils/enum/program");
+const { parseIdList } = require("../utils/exerciseQuery");
+const { getOwnedEquipments } = require("../utils/equipmentInventory");
+const {
+  findCurrentPlan,
+  findDayExercise,
+  rankSubstitutes,
+  applySubstitution,
+} = require("../utils/substitutions");
+
+// Substitutes for an exercise of a day of the current month. ?equipments=
+// lists the equipment the member has at hand, to rank what they can do
+// first; the active setup of the member is used otherwise.
+exports.getSubstitutes = asyncHandler(async (req, res, next) => {
+  const { dayId, dayExerciseId } = req.query;
+
+  if (!dayId || !dayExerciseId) {
+    res.status(400);
+    throw new Error("Please add dayId and dayExerciseId");
+  }
+
+  const ownedEquipments = req.query.equipments !== undefined
+    ? parseIdList(req.query.equipments, "equipments")
+    : getOwnedEquipments(req.user);
+
+  const plan = await findCurrentPlan(req.user);
+  const found = plan && findDayExercise(plan, dayId, dayExerciseId);
+
+  if (!found) {
+    return res.status(404).json({ result: false, message: "Exercise of the day not found" });
+  }
+
+  const exercise = await Exercise.findById(found.dayExercise.exerciseId);
+
+  if (!exercise) {
+    return res.status(404).json({ result: false, message: "Exercise not found" });
+  }
+
+  const substitutes = await rankSubstitutes(exercise, { ownedEquipments });
+
+  res.status(200).json({
+    exercise: { _id: exercise._id, title: exercise.title, usedEquipments: exercise.usedEquipments },
+    substitutes,
+  });
+});
+
+exports.applySubstitute = asyncHandler(async (req, res, next) => {
+  const { dayId, dayExerciseId, substituteId, scope = SUBSTITUTION_SCOPES.Day } = req.body;
+
+  if (!dayId || !dayExerciseId || !substituteId) {
+    res.status(400);
+    throw new Error("Please add dayId, dayExerciseId and substituteId");
+  }
+
+  if (!Object.values(SUBSTITUTION_SCOPES).includes(scope)) {
+    res.status(400);
+    throw new Error(`scope must be one of: ${Object.values(SUBSTITUTION_SCOPES).join(", ")}`);
+  }
+
+  const { month, swapped } = await applySubstitution(req.user, { dayId, dayExerciseId, substituteId, scope });
+
+  res.status(200).json({ result: true, swapped, month });
+});
@@ -0,0 +1,97 @@
+const asyncHandler = require("express-async-handler");
+const User = require("../models/userModel");
+const { parseCsv, toCsvLine } = require("../utils/csv");
+const { buildUserFilter } = require("../utils/userQuery");
+const { getActivePlans } = require("../utils/entitlements");
+const { normalizeRole } = require("../utils/permissions");
+const { MAX_IMPORT_ROWS, importUsers } = require("../utils/userImport");
+
+const EXPORT_COLUMNS = [
+  "id", "uid", "email", "firstName", "lastName", "name", "role", "level", "experience",
+  "plans", "subscriptionStatus", "nextPaymentAt", "currentStreak", "lastActiveAt", "createdAt",
+];
+
+// Rows come from an uploaded .csv or .json file, or from a users array in a JSON body.
+const readImportRows = (req) => {
+  const file = (req.files || [])[0];
+
+  if (!file) {
+    return Array.isArray(req.body.users) ? req.body.users : null;
+  }
+
+  const content = file.buffer.toString("utf8");
+  if (/\.json$/i.test(file.originalname) || file.mimetype === "application/json") {
+    const rows = JSON.parse(content);
+    return Array.isArray(rows) ? rows : rows.users;
+  }
+  return parseCsv(content);
+};
+
+// The most recently changed subscription tells the current state.
+const getLatestEntitlement = (user) =>
+  [...user.entitlements].sort((a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0))[0];
+
+const toExportRow = (user) => {
+  const entitlement = getLatestEntitlement(user);
+
+  return [
+    user._id,
+    user.uid,
+    user.email,
+    user.firstName,
+    user.lastName,
+    user.name,
+    normalizeRole(user.role),
+    user.level,
+    user.experience,
+    getActivePlans(user).join(";"),
+    entitlement && entitlement.status,
+    entitlement && entitlement.nextPaymentAt,
+    user.streak && user.streak.current,
+    user.lastActiveAt,
+    user.createdAt,
+  ];
+};
+
+exports.importUsersAdmin = asyncHandler(async (req, res, next) => {
+  let rows;
+  try {
+    rows = readImportRows(req);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Could not read the file: ${error.message}`);
+  }
+
+  if (!Array.isArray(rows) || !rows.length) {
+    res.status(400);
+    throw new Error("Please upload a CSV or JSON file of users, or send a users array");
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    res.status(400);
+    throw new Error(`Please import at most ${MAX_IMPORT_ROWS} users at a time`);
+  }
+
+  const report = await importUsers(rows, { dryRun: req.query.dryRun === "true" });
+
+  res.status(200).json({ result: true, ...report });
+});
+
+exports.exportUsersAdmin = asyncHandler(async (req, res, next) => {
+  const cursor = User.find(await buildUserFilter(req.query))
+    .select("uid email firstName lastName name role level experience entitlements streak lastActiveAt createdAt")
+    .sort({ createdAt: -1 })
+    .cursor();
+
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`,
+  });
+  res.write(`${toCsvLine(EXPORT_COLUMNS)}\r\n`);
+
+  for await (const user of cursor) {
+    res.write(`${toCsvLine(toExportRow(user))}\r\n`);
+  }
+
+  res.end();
+});
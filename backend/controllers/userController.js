@@ -3,11 +3,20 @@ const User = require("../models/userModel");
 const UpdatedMonth = require("../models/updatedWorkoutModel");
 const Exercise = require("../models/exerciseModel");
 const { getEstTime } = require("../utils/date");
+const { refreshStreak } = require("../utils/streak");
+const { ROLES, ROLE_PERMISSIONS } = require("../utils/enum/role");
+const { AUDIT_ACTOR_TYPES } = require("../utils/enum/audit");
+const { softDeleteUser, restoreUser, eraseUser } = require("../utils/userLifecycle");
+const { buildUserFilter } = require("../utils/userQuery");
+const { registerDevice } = require("../utils/devices");
+const { describeSetups } = require("../utils/equipmentInventory");
 
 const { generateRandomPassword } = require("../utils/randomPasswordGenerator");
 const { default: mongoose } = require("mongoose");
 const { getAuth, createUserWithEmailAndPassword, sendPasswordResetEmail } = require("firebase/auth");
 
+const MAX_PER_PAGE = 100;
+
 exports.registerUser = asyncHandler(async (req, res, next) => {
   const { email, username } = req.body;
   let newUserObject = {};
@@ -34,7 +43,7 @@ exports.registerUser = asyncHandler(async (req, res, next) => {
     username,
     experience: "",
     level: 0,
-    role: 0,
+    role: ROLES.Member,
     note: "",
     avatarUrl: "",
     favorites: [],
@@ -93,7 +102,9 @@ exports.getUser = asyncHandler(async (req, res, next) => {
       name: user.name,  
       workoutsHistory: user.workoutsHistory,  
       dayHistory: user.dayHistory,  
-      workout: userWorkout 
+      workout: userWorkout,
+      // The member's equipment, for coaches adapting the plan.
+      equipment: await describeSetups(user),
     }
     console.log(userResponse);
     res.status(200).json(userResponse);
@@ -156,68 +167,20 @@ const getWorkoutForCurrentMonthHistory = async (id) => {
   }
 };
 exports.getUsers = asyncHandler(async (req, res, next) => {
-  try {
-    const { search, page = 1, perPage = 10, sortBy} = req.query;
-
-    const pipeline = [];
-
-    const skip = (page - 1) * perPage;
-
-    if (search) {
-      pipeline.push({
-        $match: {
-          $or: [
-            { email: { $regex: search, $options: "i" } },
-            { firstname: { $regex: search, $options: "i" } },
-            { lastname: { $regex: search, $options: "i" } },
-            { name: { $regex: search, $options: "i" } },
-          ],
-        },
-      });
-    }
-
-    const pipelineUsers = [];
-
-    if (sortBy) {
-      var order = getSortInfo(sortBy);
-
-      pipelineUsers.push({
-        $sort: order,
-      });
-    }
-
-    if (perPage && page) {
-      const skip = (page - 1) * perPage;
-      pipelineUsers.push({ $skip: skip });
-      pipelineUsers.push({ $limit: parseInt(perPage) });
-    }
-
-    //const totalCount = await User.countDocuments(query);
-
-    const facet = {
-      $facet: {
-        pipelineUsers: pipelineUsers,
-        //totalCount: totalCount,
-      },
-    };
-    pipeline.push(facet);
-    
-    const results = await User.aggregate(pipeline);
-
-    var users = [];
-    var count = 0;
-
-    if (results.length != 0) {
-      users = results[0].pipelineUsers;
-
-    //   if (results[0].totalCount.length != 0)
-    //     count = results[0].totalCount[0].totalMatchingDocuments;
-    // }
-    }
-    res.status(200).json({ users: users });
-  } catch (error) {
-    console.log(error);
-  }
+  const { sortBy } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 10, 1), MAX_PER_PAGE);
+  const filter = await buildUserFilter(req.query);
+
+  const [count, users] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter)
+      .sort(getSortInfo(sortBy))
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+  ]);
+
+  res.status(200).json({ count, users });
 });
 
 exports.updateUser = asyncHandler(async (req, res, next) => {
@@ -226,13 +189,15 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
     console.log({detail});
     await User.findOneAndUpdate(
       { _id: req.params.id },
-      {
-        detail,
-        $push: { deviceTokens: deviceToken }
-      },
+      { detail },
       { new: true }
     )
-      .then((result) => {
+      .then(async (result) => {
+        // Older app versions send their push token with the profile. It is
+        // only kept when the signed in user sends their own.
+        if (result && deviceToken && String(result._id) === String(req.user._id)) {
+          await registerDevice(req.user, { token: deviceToken });
+        }
         console.log("Document updated successfully:", result);
         res.status(200).json({ result });
       })
@@ -245,37 +210,71 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Soft deletes by default; ?erase=true erases the account right away.
 exports.deleteUser = asyncHandler(async (req, res, next) => {
-  try {
-    await User.findOneAndDelete({ _id: req.params.id })
-      .then((result) => {
-        console.log("Document deleted successfully:", result);
-        res.status(200).json({ result: true });
-      })
-      .catch((error) => {
-        console.error("Error deleting document:", error);
-        res.status(200).json({ result: false, message: error });
-      });
-  } catch (error) {
-    console.log(error);
+  const user = await User.findOne({ _id: req.params.id });
+
+  if (!user) {
+    return res.status(404).json({ result: false, message: "User not found" });
+  }
+
+  const actor = { actorType: AUDIT_ACTOR_TYPES.User, actor: req.user };
+
+  if (req.query.erase === "true") {
+    await eraseUser(user, actor);
+    return res.status(200).json({ result: true, erased: true });
   }
+
+  await softDeleteUser(user, actor);
+  res.status(200).json({ result: true, purgeAt: user.purgeAt });
 });
 
-exports.signInAdmin = asyncHandler(async (req, res, next) => {
-  try {
-    const { email } = req.body;
-    const user = await User.findOne({ email: email }).select(["role"]);
+exports.restoreUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
 
-    if (!user) {
-      res.status(200).json({ result: false });
-    } else {
-      if (user.role >= 1) res.status(200).json({ result: true });
-      // else res.status(200).json({ result: false });
-      else console.log(user.role);
-    }
-  } catch (error) {
-    console.log(error);
+  if (!user) {
+    return res.status(404).json({ result: false, message: "Deleted user not found" });
+  }
+
+  await restoreUser(user, { actorType: AUDIT_ACTOR_TYPES.User, actor: req.user });
+  res.status(200).json({ result: true });
+});
+
+exports.deleteMe = asyncHandler(async (req, res, next) => {
+  const user = await softDeleteUser(req.user, { actorType: AUDIT_ACTOR_TYPES.User, actor: req.user });
+
+  res.status(200).json({ result: true, purgeAt: user.purgeAt });
+});
+
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  res.status(200).json({ roles: Object.values(ROLES), permissions: ROLE_PERMISSIONS });
+});
+
+exports.setUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!Object.values(ROLES).includes(role)) {
+    res.status(400);
+    throw new Error(`Role must be one of: ${Object.values(ROLES).join(", ")}`);
+  }
+
+  if (req.user._id.equals(req.params.id) && role !== ROLES.Admin) {
+    res.status(400);
+    throw new Error("You cannot remove your own admin role");
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: req.params.id },
+    { role },
+    { new: true }
+  ).select(["email", "role"]);
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
   }
+
+  res.status(200).json({ result: true, user });
 });
 
 exports.getMe = asyncHandler(async (req, res, next) => {
@@ -350,7 +349,8 @@ exports.exerciseDone = asyncHandler(async (req, res, next) => {
 // });
 exports.dayDone = asyncHandler(async (req, res, next) => {
   try {
-    const { monthIndex, weekIndex, daySplit, dayIndex, state, streak } = req.body;
+    // The streak sent by older app versions is ignored; it is computed here.
+    const { monthIndex, weekIndex, daySplit, dayIndex, state } = req.body;
     const user = req.user;
 
     if (!user) {
@@ -379,17 +379,25 @@ exports.dayDone = asyncHandler(async (req, res, next) => {
       daySplit: parseInt(daySplit, 10),
       dayIndex: parseInt(dayIndex, 10),
       state: state,
-      streak: parseInt(streak, 10),
+      completedAt: new Date(),
     });
+    const entry = user.dayHistory[user.dayHistory.length - 1];
 
     // Save to database
-    await user.save().then((result) => {
-      console.log("History saved successfully:", result);
-      res.status(200).json({ result: true });
-    }).catch((error) => {
+    try {
+      await user.save();
+    } catch (error) {
       console.error("Error occurs while saving history:", error);
-      res.status(500).json({ result: false, message: "Database save error", error });
-    });
+      return res.status(500).json({ result: false, message: "Database save error", error });
+    }
+
+    const streak = await refreshStreak(user);
+    await User.updateOne(
+      { _id: user._id, "dayHistory._id": entry._id },
+      { $set: { "dayHistory.$.streak": streak.current } }
+    );
+
+    res.status(200).json({ result: true, streak: streak.current });
   } catch (error) {
     console.error("Error processing request:", error);
     res.status(500).json({ result: false, message: "Internal server error", error });
@@ -434,14 +442,11 @@ exports.getWorkoutsHistory = asyncHandler(async (req, res, next) => {
   }
 });
 
+// _id breaks ties so that pages never overlap.
 const getSortInfo = (sortBy) => {
   let orderBy, orderDir;
 
   switch (sortBy) {
-    case "Popularity":
-      orderBy = "popularity";
-      orderDir = -1;
-      break;
     case "NameAtoZ":
       orderBy = "name";
       orderDir = 1;
@@ -458,8 +463,21 @@ const getSortInfo = (sortBy) => {
       orderBy = "createdAt";
       orderDir = 1;
       break;
+    case "LastActive":
     case "LastViewed":
-      orderBy = "lastview";
+      orderBy = "lastActiveAt";
+      orderDir = -1;
+      break;
+    case "LevelHighToLow":
+      orderBy = "level";
+      orderDir = -1;
+      break;
+    case "LevelLowToHigh":
+      orderBy = "level";
+      orderDir = 1;
+      break;
+    case "LongestStreak":
+      orderBy = "streak.longest";
       orderDir = -1;
       break;
     default:
@@ -468,6 +486,6 @@ const getSortInfo = (sortBy) => {
       break;
   }
 
-  return { [orderBy]: orderDir };
+  return { [orderBy]: orderDir, _id: orderDir };
 };
 
@@ -2,6 +2,9 @@ const asyncHandler = require("express-async-handler");
 const mongoose = require("mongoose");
 
 const Warmup = require("../models/warmupModel");
+const { markFavorited } = require("../utils/favorites");
+const { FAVORITE_TYPES } = require("../utils/enum/favorite");
+const { escapeRegex } = require("../utils/regex");
 
 exports.getWarmupsAdmin = asyncHandler(async (req, res, next) => {
   try {
@@ -13,8 +16,8 @@ exports.getWarmupsAdmin = asyncHandler(async (req, res, next) => {
       pipeline.push({
         $match: {
           $or: [
-            { title: { $regex: new RegExp(search, "i") } },
-            { description: { $regex: new RegExp(search, "i") } },
+            { title: { $regex: new RegExp(escapeRegex(search), "i") } },
+            { description: { $regex: new RegExp(escapeRegex(search), "i") } },
           ],
         },
       });
@@ -63,7 +66,7 @@ exports.getWarmupsAdmin = asyncHandler(async (req, res, next) => {
         count = results[0].totalCount[0].totalMatchingDocuments;
     }
 
-    res.status(200).json({ count: count, warmups: warmups });
+    res.status(200).json({ count: count, warmups: await markFavorited(req.user, FAVORITE_TYPES.Warmup, warmups) });
   } catch (error) {
     console.log(error);
   }
@@ -72,7 +75,9 @@ exports.getWarmupsAdmin = asyncHandler(async (req, res, next) => {
 exports.getWarmupAdmin = asyncHandler(async (req, res, next) => {
   try {
     const warmup = await Warmup.findOne({ _id: req.params.id });
-    res.status(200).json(warmup);
+
+    const [favorited] = await markFavorited(req.user, FAVORITE_TYPES.Warmup, [warmup]);
+    res.status(200).json(favorited);
   } catch (error) {
     console.log(error);
   }
@@ -1,7 +1,11 @@
 const asyncHandler = require("express-async-handler");
-const User = require("../models/userModel");
 const crypto = require("crypto");
-const { WOOCOMMERCE_WEBHOOK_EVENTS } = require("../utils/enum/woocommerce");
+const mongoose = require("mongoose");
+const WebhookEvent = require("../models/webhookEventModel");
+const { WOOCOMMERCE_WEBHOOK_EVENTS, WEBHOOK_EVENT_STATUS } = require("../utils/enum/woocommerce");
+const { receiveWebhook, processPendingWebhooks, replayEvent } = require("../utils/webhooks");
+
+const MAX_PER_PAGE = 100;
 
 const generateWebhookSignature = (payload, webhookSecret) => {
   const hmac = crypto.createHmac("sha256", webhookSecret);
@@ -10,102 +14,113 @@ const generateWebhookSignature = (payload, webhookSecret) => {
   return signature;
 };
 
+const isValidSignature = (signature, payload) => {
+  if (!signature || !payload) return false;
+
+  const expected = Buffer.from(generateWebhookSignature(payload, process.env.WOOCOMMERCE_WEBHOOK_SECRET));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Processes the inbox in the background; the scheduler picks up anything left.
+const processInBackground = () => {
+  setImmediate(() => {
+    processPendingWebhooks().catch((error) => console.error("Error processing webhooks:", error));
+  });
+};
+
+// Deliveries are stored and acknowledged right away, then processed by
+// utils/webhooks.js with retries.
 exports.handleWebhook = asyncHandler(async (req, res, next) => {
-  const webhookSecret = req.headers["x-wc-webhook-signature"];
+  const webhookSignature = req.headers["x-wc-webhook-signature"];
   const webhookEvent = req.headers["x-wc-webhook-topic"];
 
-  try {
-    if (
-      !(
-        webhookEvent === WOOCOMMERCE_WEBHOOK_EVENTS.CustomerCreated ||
-        webhookEvent === WOOCOMMERCE_WEBHOOK_EVENTS.CustomerUpdated ||
-        webhookEvent === WOOCOMMERCE_WEBHOOK_EVENTS.CustomerDeleted
-      )
-    )
-      return res.status(200).send("incorrect webhook received");
-
-    const generatedSignature = generateWebhookSignature(
-      req.rawBody,
-      process.env.WOOCOMMERCE_WEBHOOK_SECRET
-    );
-
-    if (webhookSecret !== generatedSignature) {
-      return res.status(200).send("webhook is unauthorized");
-    }
-
-    const webhookData = req.body;
-
-    console.log("-----------------------webhook received------------------");
-    console.log(webhookData);
-
-    await processWebhook(res, webhookData, webhookEvent);
-  } catch (error) {
-    console.error("Error processing webhook:", error);
-    res.status(500).send("Internal Server Error");
+  if (!Object.values(WOOCOMMERCE_WEBHOOK_EVENTS).includes(webhookEvent))
+    return res.status(200).send("incorrect webhook received");
+
+  if (!isValidSignature(webhookSignature, req.rawBody)) {
+    return res.status(401).send("webhook is unauthorized");
+  }
+
+  // Deliveries without an id are told apart by their content.
+  const deliveryId = req.headers["x-wc-webhook-delivery-id"] ||
+    `${webhookEvent}:${crypto.createHash("sha256").update(req.rawBody).digest("hex")}`;
+
+  const { event, duplicate } = await receiveWebhook({
+    deliveryId,
+    topic: webhookEvent,
+    payload: req.body,
+  });
+
+  console.log(`-----------------------webhook received: ${webhookEvent} ${deliveryId}${duplicate ? " (duplicate)" : ""}`);
+
+  processInBackground();
+  res.status(200).json({ result: true, id: event._id, duplicate });
+});
+
+exports.getWebhookEventsAdmin = asyncHandler(async (req, res, next) => {
+  const { status, topic } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 10, 1), MAX_PER_PAGE);
+  const query = {};
+  if (status) query.status = status;
+  if (topic) query.topic = topic;
+
+  const [count, events] = await Promise.all([
+    WebhookEvent.countDocuments(query),
+    WebhookEvent.find(query)
+      .select("-payload")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+  ]);
+
+  res.status(200).json({ count, events });
+});
+
+exports.getWebhookEventAdmin = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ result: false, message: "Webhook event not found" });
   }
+
+  const event = await WebhookEvent.findById(req.params.id).populate("replayedBy", "name email");
+
+  if (!event) {
+    return res.status(404).json({ result: false, message: "Webhook event not found" });
+  }
+
+  res.status(200).json(event);
 });
 
-async function processWebhook(res, webhookData, webhookEvent) {
-  if (webhookData && webhookEvent) {
-    switch (webhookEvent) {
-      case WOOCOMMERCE_WEBHOOK_EVENTS.CustomerCreated:
-        await createCustomer(res, webhookData);
-        break;
-      case WOOCOMMERCE_WEBHOOK_EVENTS.CustomerUpdated:
-        await updateCustomer(res, webhookData);
-        break;
-      case WOOCOMMERCE_WEBHOOK_EVENTS.CustomerDeleted:
-        await deleteCustomer(res, webhookData);
-        break;
-      default:
-        console.warn("Unknown webhook event:", webhookEvent);
-    }
-  } else {
-    console.warn("Unsupported webhook event:", webhookEvent);
+exports.replayWebhookEventAdmin = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ result: false, message: "Webhook event not found" });
   }
-}
-
-
-async function createCustomer(res, webhookData) {
-  try {
-    const documentToInsert = {
-      uid: webhookData.id,
-      name: webhookData.first_name,
-      firstName: webhookData.first_name,
-      lastName: webhookData.last_name,
-      email: webhookData.email
-    };
-    const result = await User.create(documentToInsert);
-    console.log("Customer created successfully", result);
-    return res.status(200).json({ result: true });
-  } catch (error) {
-    console.error("Failed to create the customer", error);
-    return res.status(200).json({ result: false, message: error.message });
+
+  const event = await WebhookEvent.findById(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({ result: false, message: "Webhook event not found" });
   }
-}
-
-async function updateCustomer(res, webhookData) {
-  try {
-    console.log("Customer info updated successfully");
-    res.status(200).json({ result: true });
-  } catch (error) {
-    console.error("Failed to update customer info:", error);
-    res.status(500).json({ result: false, message: error.message });
+
+  if (event.status === WEBHOOK_EVENT_STATUS.Processing) {
+    return res.status(409).json({ result: false, message: "Webhook event is being processed" });
   }
-}
 
-async function deleteCustomer(res, webhookData) {
-  try {
-    const result = await User.deleteOne({ uid: webhookData.id });
+  await replayEvent(event, req.user);
+  processInBackground();
 
-    if (result.deletedCount === 0)
-      return res.status(404).json({ result: false, message: "Customer not found" });
+  res.status(200).json({ result: true, event });
+});
+
+// Replays the whole dead letter list.
+exports.replayDeadLettersAdmin = asyncHandler(async (req, res, next) => {
+  const events = await WebhookEvent.find({ status: WEBHOOK_EVENT_STATUS.DeadLetter });
 
-    console.log("Customer deleted successfully");
-    res.status(200).json({ result: true });
-  } catch (error) {
-    console.error("Failed to delete customer:", error);
-    res.status(500).json({ result: false, message: error.message });
+  for (const event of events) {
+    await replayEvent(event, req.user);
   }
-}
+  processInBackground();
 
+  res.status(200).json({ result: true, count: events.length });
+});
@@ -0,0 +1,201 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const WorkoutSession = require("../models/workoutSessionModel");
+const { WORKOUT_SESSION_STATUS, SET_STATUS } = require("../utils/enum/workoutSession");
+const { refreshStreak } = require("../utils/streak");
+
+const toNumber = (value) => (value === undefined || value === null || value === "" ? undefined : Number(value));
+
+const MAX_PER_PAGE = 100;
+
+// Fields whose value was sent but is not a number.
+const invalidNumbers = (values) =>
+  Object.keys(values).filter((field) => values[field] !== undefined && !Number.isFinite(values[field]));
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+const findUserSession = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? WorkoutSession.findOne({ _id: req.params.id, user: req.user._id })
+    : null;
+
+exports.startSession = asyncHandler(async (req, res, next) => {
+  const { monthId, monthIndex, weekIndex, dayId, dayIndex, daySplit } = req.body;
+
+  if (monthIndex === undefined || weekIndex === undefined || dayIndex === undefined) {
+    res.status(400);
+    throw new Error("Please add monthIndex, weekIndex and dayIndex");
+  }
+
+  const day = {
+    monthIndex: toNumber(monthIndex),
+    weekIndex: toNumber(weekIndex),
+    dayIndex: toNumber(dayIndex),
+    daySplit: toNumber(daySplit),
+  };
+
+  const invalid = invalidNumbers(day);
+  if (invalid.length) {
+    res.status(400);
+    throw new Error(`${invalid.join(", ")} must be numbers`);
+  }
+
+  if ((monthId && !mongoose.Types.ObjectId.isValid(monthId)) || (dayId && !mongoose.Types.ObjectId.isValid(dayId))) {
+    res.status(400);
+    throw new Error("monthId and dayId must be valid ids");
+  }
+
+  // Starting the same day twice resumes the session that is still open.
+  const openSession = await WorkoutSession.findOne({
+    user: req.user._id,
+    status: WORKOUT_SESSION_STATUS.InProgress,
+    ...day,
+  });
+  if (openSession) {
+    return res.status(200).json({ result: true, session: openSession });
+  }
+
+  const session = await WorkoutSession.create({
+    user: req.user._id,
+    monthId,
+    dayId,
+    ...day,
+  });
+
+  res.status(201).json({ result: true, session });
+});
+
+exports.logSet = asyncHandler(async (req, res, next) => {
+  const { exerciseId, exerciseIndex, setIndex, reps, weight, rest, rpe, status = SET_STATUS.Completed } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(exerciseId) || setIndex === undefined) {
+    res.status(400);
+    throw new Error("Please add a valid exerciseId and setIndex");
+  }
+
+  if (!Object.values(SET_STATUS).includes(status)) {
+    res.status(400);
+    throw new Error(`Set status must be one of: ${Object.values(SET_STATUS).join(", ")}`);
+  }
+
+  const numbers = {
+    exerciseIndex: toNumber(exerciseIndex),
+    setIndex: toNumber(setIndex),
+    reps: toNumber(reps),
+    weight: toNumber(weight),
+    rest: toNumber(rest),
+    rpe: toNumber(rpe),
+  };
+
+  const invalid = invalidNumbers(numbers);
+  if (invalid.length) {
+    res.status(400);
+    throw new Error(`${invalid.join(", ")} must be numbers`);
+  }
+
+  if (numbers.rpe !== undefined && (numbers.rpe < 1 || numbers.rpe > 10)) {
+    res.status(400);
+    throw new Error("rpe must be between 1 and 10");
+  }
+
+  const session = await findUserSession(req);
+  if (!session) {
+    return res.status(404).json({ result: false, message: "Session not found" });
+  }
+
+  if (session.status !== WORKOUT_SESSION_STATUS.InProgress) {
+    return res.status(409).json({ result: false, message: `Session is already ${session.status}` });
+  }
+
+  const set = {
+    exerciseId,
+    ...numbers,
+    status,
+    loggedAt: new Date(),
+  };
+
+  // Logging a set again replaces it, so the app can correct a typo.
+  const existingIndex = session.sets.findIndex(
+    (item) => item.exerciseId.equals(exerciseId) &&
+      item.exerciseIndex === set.exerciseIndex &&
+      item.setIndex === set.setIndex
+  );
+  if (existingIndex === -1) {
+    session.sets.push(set);
+  } else {
+    session.sets.set(existingIndex, set);
+  }
+
+  await session.save();
+
+  res.status(200).json({ result: true, session });
+});
+
+const closeSession = (status) => asyncHandler(async (req, res, next) => {
+  const session = await findUserSession(req);
+  if (!session) {
+    return res.status(404).json({ result: false, message: "Session not found" });
+  }
+
+  if (session.status !== WORKOUT_SESSION_STATUS.InProgress) {
+    return res.status(409).json({ result: false, message: `Session is already ${session.status}` });
+  }
+
+  session.status = status;
+  session.finishedAt = new Date();
+  await session.save();
+
+  if (status === WORKOUT_SESSION_STATUS.Finished) {
+    const streak = await refreshStreak(req.user);
+    return res.status(200).json({ result: true, session, streak: streak.current });
+  }
+
+  res.status(200).json({ result: true, session });
+});
+
+exports.finishSession = closeSession(WORKOUT_SESSION_STATUS.Finished);
+
+exports.abandonSession = closeSession(WORKOUT_SESSION_STATUS.Abandoned);
+
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const { from, to, status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.perPage) || 20, 1), MAX_PER_PAGE);
+  const query = { user: req.user._id };
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    res.status(400);
+    throw new Error("from and to must be dates");
+  }
+
+  if (status && !Object.values(WORKOUT_SESSION_STATUS).includes(status)) {
+    res.status(400);
+    throw new Error(`status must be one of: ${Object.values(WORKOUT_SESSION_STATUS).join(", ")}`);
+  }
+
+  if (from || to) {
+    query.startedAt = {};
+    if (from) query.startedAt.$gte = new Date(from);
+    if (to) query.startedAt.$lte = new Date(to);
+  }
+  if (status) query.status = status;
+
+  const [count, sessions] = await Promise.all([
+    WorkoutSession.countDocuments(query),
+    WorkoutSession.find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage),
+  ]);
+
+  res.status(200).json({ count, sessions });
+});
+
+exports.getSession = asyncHandler(async (req, res, next) => {
+  const session = await findUserSession(req);
+  if (!session) {
+    return res.status(404).json({ result: false, message: "Session not found" });
+  }
+
+  res.status(200).json(session);
+});
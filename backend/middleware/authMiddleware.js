@@ -1,6 +1,28 @@
 const jwt = require('jsonwebtoken');
 const User = require("../models/userModel");
+const { isBackendToken, verifyAccessToken, isWooTokenRevoked } = require("../utils/token");
+const { AUTH_ERROR_CODES } = require("../utils/enum/auth");
 
+// Last activity is stored at most this often, to spare a write per request.
+const LAST_ACTIVE_INTERVAL_MS = 15 * 60 * 1000;
+
+const touchLastActive = (user) => {
+  const now = new Date();
+  if (user.lastActiveAt && now - user.lastActiveAt < LAST_ACTIVE_INTERVAL_MS) return;
+
+  user.lastActiveAt = now;
+  User.updateOne({ _id: user._id }, { lastActiveAt: now })
+    .catch((error) => console.error("Failed to update last activity:", error));
+};
+
+const getErrorCode = (error) => {
+  if (typeof error.code === "string") return error.code;
+  if (error.name === "TokenExpiredError") return AUTH_ERROR_CODES.TokenExpired;
+  return AUTH_ERROR_CODES.InvalidToken;
+};
+
+// Accepts either a WooCommerce customer token or an access token issued by
+// this backend (see utils/token.js).
 exports.requiresAuth = async (req, res, next) => {
   try {
     const token = req.headers['auth_token']; // Assuming token is passed in the authorization header
@@ -8,20 +30,33 @@ exports.requiresAuth = async (req, res, next) => {
       return res.status(403).send('No token provided');
     }
 
-    let decodedToken;
+    let user;
     try {
-      decodedToken = await jwt.verify(token, process.env.WOOCOMMERCE_JWT_AUTH_SECURITY_KEY)
+      if (isBackendToken(token)) {
+        const { decodedToken, session } = await verifyAccessToken(token);
+        user = await User.findOne({ _id: decodedToken.sub });
+        req.authSession = session;
+      } else {
+        const decodedToken = await jwt.verify(token, process.env.WOOCOMMERCE_JWT_AUTH_SECURITY_KEY)
+        user = await User.findOne({uid: decodedToken.data.user.id});
+        if (user && await isWooTokenRevoked(token, decodedToken, user)) {
+          return res.status(401).json({ result: false, code: AUTH_ERROR_CODES.TokenRevoked, message: "Token has been revoked" });
+        }
+      }
     } catch (error) {
-      next(error);
-      return;
+      return res.status(401).json({ result: false, code: getErrorCode(error), message: error.message });
     }
-    const user = await User.findOne({uid: decodedToken.data.user.id});
+
     if (!user) {
-      throw new Error("Invalid token");
+      return res.status(401).json({ result: false, code: AUTH_ERROR_CODES.InvalidToken, message: "Invalid token" });
+    }
+    if (user.deletedAt) {
+      return res.status(401).json({ result: false, code: AUTH_ERROR_CODES.AccountDeleted, message: "Account has been deleted" });
     }
+    touchLastActive(user);
     req.user = user;
     next();
   } catch (error) {
-    console.log(error);
+    next(error);
   }
-}
\ No newline at end of file
+}
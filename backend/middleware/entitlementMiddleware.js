@@ -0,0 +1,40 @@
+const { canAccessCms } = require("../utils/permissions");
+const { findEntitlement, getAccessUntil, isInGrace } = require("../utils/entitlements");
+const { ENTITLEMENT_ERROR_CODES } = require("../utils/enum/woocommerce");
+
+// Must be mounted after requiresAuth, which sets req.user. Staff reach the
+// content through the CMS without a subscription.
+exports.requiresEntitlement = (...plans) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ result: false, message: "User not authenticated" });
+    }
+
+    if (canAccessCms(req.user.role)) {
+      return next();
+    }
+
+    const entitlement = await findEntitlement(req.user, plans);
+    if (!entitlement) {
+      const lapsed = req.user.entitlements.find((item) => plans.includes(item.plan));
+
+      return res.status(402).json({
+        result: false,
+        code: ENTITLEMENT_ERROR_CODES.SubscriptionRequired,
+        message: "You need to purchase subscriptions",
+        plans,
+        status: lapsed ? lapsed.status : null,
+      });
+    }
+
+    // Lets the app warn the user before access ends.
+    if (isInGrace(entitlement)) {
+      res.set("X-Subscription-Grace-Until", getAccessUntil(entitlement).toISOString());
+    }
+
+    req.entitlement = entitlement;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
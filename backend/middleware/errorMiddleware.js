@@ -0,0 +1,14 @@
+// Answers errors passed on by the routes as JSON. The status comes from the
+// error (see utils/httpError.js) or from res.status() called before throwing.
+// Must be mounted after the routes.
+exports.errorHandler = (err, req, res, next) => {
+  const status = err.status || err.statusCode || (res.statusCode >= 400 ? res.statusCode : 500);
+
+  // Server errors are logged, not shown: their message may carry internals.
+  if (status >= 500) {
+    console.error(err);
+    return res.status(status).json({ result: false, message: "Something went wrong" });
+  }
+
+  res.status(status).json({ result: false, message: err.message });
+};
@@ -0,0 +1,39 @@
+const { normalizeRole, hasPermission } = require("../utils/permissions");
+
+// Must be mounted after requiresAuth, which sets req.user.
+exports.requiresRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ result: false, message: "User not authenticated" });
+  }
+
+  if (!roles.includes(normalizeRole(req.user.role))) {
+    return res.status(403).json({ result: false, message: "You are not allowed to perform this action" });
+  }
+
+  next();
+};
+
+exports.requiresPermission = (resource, action) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ result: false, message: "User not authenticated" });
+  }
+
+  if (!hasPermission(req.user.role, resource, action)) {
+    return res.status(403).json({ result: false, message: "You are not allowed to perform this action" });
+  }
+
+  next();
+};
+
+// For routes on a user by :id that members call on their own account.
+exports.requiresSelfOrPermission = (resource, action) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ result: false, message: "User not authenticated" });
+  }
+
+  if (String(req.user._id) !== String(req.params.id) && !hasPermission(req.user.role, resource, action)) {
+    return res.status(403).json({ result: false, message: "You are not allowed to perform this action" });
+  }
+
+  next();
+};
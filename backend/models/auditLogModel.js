@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { AUDIT_ACTIONS, AUDIT_ACTOR_TYPES } = require("../utils/enum/audit");
+
+const auditLogSchema = mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: Object.values(AUDIT_ACTIONS),
+      required: true,
+    },
+    actorType: {
+      type: String,
+      enum: Object.values(AUDIT_ACTOR_TYPES),
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Kept as plain values as well, so the log outlives an erased user.
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    targetUid: {
+      type: Number,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      }
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
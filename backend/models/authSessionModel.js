@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const authSessionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    kind: {
+      type: String,
+    },
+    deviceId: {
+      type: String,
+    },
+    deviceName: {
+      type: String,
+    },
+    platform: {
+      type: String,
+    },
+    // Hash of the WooCommerce token a device session was started with, so
+    // revoking the session also rejects that token.
+    sourceTokenHash: {
+      type: String,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+module.exports = mongoose.model("AuthSession", authSessionSchema);
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+const { CAMPAIGN_STATUS } = require("../utils/enum/notification");
+
+const campaignSchema = mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Please add a title"],
+    },
+    body: {
+      type: String,
+      required: [true, "Please add a body"],
+    },
+    // Deep link data sent with the push, see utils/notifications.
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Who receives the campaign; every condition set must match. See utils/campaigns.js.
+    segment: {
+      plan: {
+        type: String,
+      },
+      subscriptionStatus: {
+        type: String,
+      },
+      levelMin: {
+        type: Number,
+      },
+      levelMax: {
+        type: Number,
+      },
+      challengeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Challenge",
+      },
+      inactiveDays: {
+        type: Number,
+      },
+      userIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+    },
+    status: {
+      type: String,
+      enum: Object.values(CAMPAIGN_STATUS),
+      default: CAMPAIGN_STATUS.Draft,
+    },
+    scheduledAt: {
+      type: Date,
+    },
+    // When a sender took the campaign, to find the ones whose sender died.
+    claimedAt: {
+      type: Date,
+    },
+    sentAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    stats: {
+      users: Number,
+      tokens: Number,
+      sent: Number,
+      failed: Number,
+      invalid: Number,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model("Campaign", campaignSchema);
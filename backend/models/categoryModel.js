@@ -15,4 +15,7 @@ const categorySchema = mongoose.Schema(
   }
 );
 
+// Used by the catalog search, see utils/search.js.
+categorySchema.index({ title: "text" }, { name: "search", weights: { title: 10 } });
+
 module.exports = mongoose.model("Category", categorySchema);
@@ -31,4 +31,10 @@ const ChallengeSchema = mongoose.Schema(
   }
 );
 
+// Used by the catalog search, see utils/search.js.
+ChallengeSchema.index(
+  { title: "text", description: "text" },
+  { name: "search", weights: { title: 10, description: 2 } }
+);
+
 module.exports = mongoose.model("Challenge", ChallengeSchema);
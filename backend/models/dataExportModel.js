@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { DATA_EXPORT_STATUS } = require("../utils/enum/dataExport");
+
+const dataExportSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: Object.values(DATA_EXPORT_STATUS),
+      default: DATA_EXPORT_STATUS.Pending,
+    },
+    // Path of the archive in the Cloud Storage bucket.
+    filePath: {
+      type: String,
+    },
+    size: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+dataExportSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("DataExport", dataExportSchema);
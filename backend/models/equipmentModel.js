@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { EQUIPMENT_PRESETS } = require("../utils/enum/equipment");
 
 const equipmentSchema = mongoose.Schema(
   {
@@ -14,6 +15,13 @@ const equipmentSchema = mongoose.Schema(
     link: {
       type: String,
     },
+    // Presets of member setups that include it, see utils/equipmentInventory.js.
+    presets: [
+      {
+        type: String,
+        enum: Object.values(EQUIPMENT_PRESETS),
+      },
+    ],
   },
   {
     timestamps: true,
@@ -21,4 +29,10 @@ const equipmentSchema = mongoose.Schema(
   }
 );
 
+// Used by the catalog search, see utils/search.js.
+equipmentSchema.index(
+  { title: "text", description: "text" },
+  { name: "search", weights: { title: 10, description: 2 } }
+);
+
 module.exports = mongoose.model("Equipment", equipmentSchema);
@@ -36,4 +36,10 @@ const exerciseSchema = mongoose.Schema(
   }
 );
 
+// Used by the catalog search, see utils/search.js.
+exerciseSchema.index(
+  { title: "text", description: "text", guide: "text" },
+  { name: "search", weights: { title: 10, description: 2, guide: 1 } }
+);
+
 module.exports = mongoose.model("Exercise", exerciseSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const { FAVORITE_TYPES } = require("../utils/enum/favorite");
+
+const favoriteSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(FAVORITE_TYPES),
+      required: true,
+    },
+    // The exercise, warmup or rest day; not set for workout days.
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "itemModel",
+    },
+    itemModel: {
+      type: String,
+    },
+    // Indexes of a workout day in the program (see WorkoutSession).
+    day: {
+      monthIndex: {
+        type: Number,
+      },
+      weekIndex: {
+        type: Number,
+      },
+      dayIndex: {
+        type: Number,
+      },
+    },
+    // Identifies the favorite among the ones of the user, see getFavoriteKey.
+    key: {
+      type: String,
+      required: true,
+    },
+    // Order chosen by the user, lowest first.
+    position: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+favoriteSchema.index({ user: 1, key: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, position: 1 });
+
+module.exports = mongoose.model("Favorite", favoriteSchema);
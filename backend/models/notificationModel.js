@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// A notification in the inbox of a user. Every push is also written here, so
+// one that is missed can still be read in the app.
+const notificationSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // NOTIFICATION_TYPES, from the data of the push.
+    type: {
+      type: String,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+// The app reads the body as description.
+notificationSchema.virtual("description").get(function () {
+  return this.body;
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
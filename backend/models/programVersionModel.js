@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const Month = require("./workoutModel");
+const { PROGRAM_VERSION_STATUS } = require("../utils/enum/program");
+
+const programVersionSchema = mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PROGRAM_VERSION_STATUS),
+      default: PROGRAM_VERSION_STATUS.Draft,
+    },
+    note: {
+      type: String,
+    },
+    months: [Month.schema],
+    basedOn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProgramVersion",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    publishAt: {
+      type: Date,
+    },
+    publishedAt: {
+      type: Date,
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+// Only drafts can be edited; anything that was scheduled or published is a snapshot.
+programVersionSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("months") && this.status !== PROGRAM_VERSION_STATUS.Draft) {
+    return next(new Error(`Version ${this.version} is ${this.status} and cannot be edited`));
+  }
+  next();
+});
+
+module.exports = mongoose.model("ProgramVersion", programVersionSchema);
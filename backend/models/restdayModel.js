@@ -22,4 +22,10 @@ const restdaySchema = mongoose.Schema(
   }
 );
 
+// Used by the catalog search, see utils/search.js.
+restdaySchema.index(
+  { title: "text", description: "text" },
+  { name: "search", weights: { title: 10, description: 2 } }
+);
+
 module.exports = mongoose.model("RestDay", restdaySchema);
@@ -21,4 +21,10 @@ const StaffSchema = mongoose.Schema(
   }
 );
 
+// Used by the catalog search, see utils/search.js.
+StaffSchema.index(
+  { title: "text", bio: "text" },
+  { name: "search", weights: { title: 10, bio: 1 } }
+);
+
 module.exports = mongoose.model("Staff", StaffSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const streakMilestoneSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    days: {
+      type: Number,
+      required: true,
+    },
+    // First day of the streak the milestone belongs to, as "YYYY-MM-DD".
+    streakStart: {
+      type: String,
+      required: true,
+    },
+    reachedOn: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+streakMilestoneSchema.index({ user: 1, streakStart: 1, days: 1 }, { unique: true });
+
+module.exports = mongoose.model("StreakMilestone", streakMilestoneSchema);
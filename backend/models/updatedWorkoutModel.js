@@ -1,5 +1,14 @@
 const mongoose = require("mongoose");
 
+const dayExtraExerciseSchema = mongoose.Schema({
+  sets: { type: Number },
+  reps: { type: Number },
+  weight: { type: Number },
+  rest: { type: Number },
+  load: { type: Number },
+  type: { type: Number },
+});
+
 const dayExerciseSchema = mongoose.Schema({
   typeId: { type: Number },
   exerciseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise' },
@@ -10,6 +19,9 @@ const dayExerciseSchema = mongoose.Schema({
   weight: { type: Number },
   rest: { type: Number },
   formats: { type: [String] },
+  extra: [dayExtraExerciseSchema],
+  // Exercise of the program that the member swapped for this one.
+  substitutedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise' },
 });
 
 const dayWarmupSchema = mongoose.Schema({
@@ -43,6 +55,7 @@ const weekSchema = mongoose.Schema({
 
 const monthSchema = mongoose.Schema({
   uid: { type: Number },
+  sourceMonthId: { type: mongoose.Schema.Types.ObjectId, ref: 'Month' },
   index: { type: Number },
   title: { type: String },
   description: { type: String },
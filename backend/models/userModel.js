@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../utils/enum/role");
+const { DEVICE_PLATFORMS } = require("../utils/enum/device");
+const { EQUIPMENT_LOCATIONS, EQUIPMENT_PRESETS } = require("../utils/enum/equipment");
+const { normalizeRole } = require("../utils/permissions");
 
 const userSchema = mongoose.Schema(
   {
@@ -20,8 +24,10 @@ const userSchema = mongoose.Schema(
       type: String,
     },
     role: {
-      type: Number,
-      default: 0,
+      type: String,
+      default: ROLES.Member,
+      get: normalizeRole,
+      set: normalizeRole,
     },
     detail: {
       sex: {
@@ -132,10 +138,159 @@ const userSchema = mongoose.Schema(
         },
         streak: {
           type: Number
+        },
+        completedAt: {
+          type: Date
         }
       }
     ],
-    deviceTokens: [String]
+    // Computed by utils/streak.js; never taken from the client.
+    streak: {
+      current: {
+        type: Number,
+        default: 0,
+      },
+      longest: {
+        type: Number,
+        default: 0,
+      },
+      lastActiveDate: {
+        type: String,
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
+    // Subscriptions synced from WooCommerce webhooks, see utils/entitlements.js.
+    entitlements: [
+      {
+        subscriptionId: {
+          type: Number,
+        },
+        plan: {
+          type: String,
+        },
+        status: {
+          type: String,
+        },
+        nextPaymentAt: {
+          type: Date,
+        },
+        endAt: {
+          type: Date,
+        },
+        modifiedAt: {
+          type: Date,
+        },
+        onHoldSince: {
+          type: Date,
+        },
+      }
+    ],
+    entitlementsSyncedAt: {
+      type: Date,
+    },
+    // Push tokens registered before the device registry; read but no longer written.
+    deviceTokens: [String],
+    // Managed by utils/devices.js; a token belongs to a single device.
+    devices: [
+      {
+        token: {
+          type: String,
+          required: true,
+        },
+        platform: {
+          type: String,
+          enum: Object.values(DEVICE_PLATFORMS),
+        },
+        appVersion: {
+          type: String,
+        },
+        locale: {
+          type: String,
+        },
+        registeredAt: {
+          type: Date,
+        },
+        lastSeenAt: {
+          type: Date,
+        },
+      }
+    ],
+    // What the member can train with at each location, managed by
+    // utils/equipmentInventory.js.
+    equipmentSetups: [
+      {
+        location: {
+          type: String,
+          enum: Object.values(EQUIPMENT_LOCATIONS),
+          required: true,
+        },
+        // The preset the setup started from, if any.
+        preset: {
+          type: String,
+          enum: Object.values(EQUIPMENT_PRESETS),
+        },
+        equipments: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Equipment",
+          },
+        ],
+        updatedAt: {
+          type: Date,
+        },
+      }
+    ],
+    // Location whose setup workouts are checked against.
+    activeEquipmentLocation: {
+      type: String,
+      enum: Object.values(EQUIPMENT_LOCATIONS),
+    },
+    // Exercises the member swapped for the rest of their program, applied to
+    // the months that start later by utils/substitutions.js.
+    exerciseSubstitutions: [
+      {
+        exerciseId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Exercise",
+          required: true,
+        },
+        substituteId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Exercise",
+          required: true,
+        },
+        name: {
+          type: String,
+        },
+        createdAt: {
+          type: Date,
+        },
+      }
+    ],
+    // Updated by requiresAuth, at most every few minutes.
+    lastActiveAt: {
+      type: Date,
+      index: true,
+    },
+    // Set while the account waits to be erased, see utils/userLifecycle.js.
+    deletedAt: {
+      type: Date,
+    },
+    purgeAt: {
+      type: Date,
+      index: true,
+    },
+    // date_modified of the last customer.updated webhook applied; older
+    // deliveries arriving late are skipped.
+    customerModifiedAt: {
+      type: Date,
+    },
+    // WooCommerce tokens issued before this date are rejected.
+    tokensRevokedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -143,4 +298,6 @@ const userSchema = mongoose.Schema(
   }
 );
 
+userSchema.index({ "devices.token": 1 });
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { WEBHOOK_EVENT_STATUS } = require("../utils/enum/woocommerce");
+
+const webhookEventSchema = mongoose.Schema(
+  {
+    // x-wc-webhook-delivery-id; WooCommerce resends a failed delivery with the same id.
+    deliveryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    topic: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: Object.values(WEBHOOK_EVENT_STATUS),
+      default: WEBHOOK_EVENT_STATUS.Pending,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    processedAt: {
+      type: Date,
+    },
+    replayedAt: {
+      type: Date,
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { WORKOUT_SESSION_STATUS, SET_STATUS } = require("../utils/enum/workoutSession");
+
+const sessionSetSchema = mongoose.Schema({
+  exerciseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise' },
+  exerciseIndex: { type: Number },
+  setIndex: { type: Number },
+  reps: { type: Number },
+  weight: { type: Number },
+  rest: { type: Number },
+  rpe: { type: Number, min: 1, max: 10 },
+  status: {
+    type: String,
+    enum: Object.values(SET_STATUS),
+    default: SET_STATUS.Completed,
+  },
+  loggedAt: { type: Date, default: Date.now },
+});
+
+const workoutSessionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    monthId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    monthIndex: {
+      type: Number,
+    },
+    weekIndex: {
+      type: Number,
+    },
+    dayId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    dayIndex: {
+      type: Number,
+    },
+    daySplit: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: Object.values(WORKOUT_SESSION_STATUS),
+      default: WORKOUT_SESSION_STATUS.InProgress,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    sets: [sessionSetSchema],
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+  }
+);
+
+workoutSessionSchema.index({ user: 1, startedAt: -1 });
+
+module.exports = mongoose.model("WorkoutSession", workoutSessionSchema);
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { requiresAuth } = require("../middleware/authMiddleware.js");
+
+const {
+  getPersonalRecords,
+  getWeeklyVolume,
+  getCategoryVolume,
+  getMonthlyComparison,
+} = require("../controllers/analyticsController");
+
+router.get("/records", requiresAuth, getPersonalRecords);
+router.get("/volume/weekly", requiresAuth, getWeeklyVolume);
+router.get("/volume/categories", requiresAuth, getCategoryVolume);
+router.get("/comparison/monthly", requiresAuth, getMonthlyComparison);
+
+module.exports = router;
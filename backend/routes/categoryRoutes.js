@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const {requiresAuth} = require('../middleware/authMiddleware.js');
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
 const {
   getCategoriesAdmin,
@@ -11,11 +13,11 @@ const {
   getCategoryTitlesAdmin,
 } = require("../controllers/categoryController.js");
 
-router.get("/admin/get", getCategoriesAdmin);
-router.get("/admin/get/:id", requiresAuth, getCategoryAdmin);
-router.post("/admin", requiresAuth, addCategoryAdmin);
-router.put("/admin", requiresAuth, updateCategoryAdmin);
-router.delete("/admin/:id", requiresAuth, deleteCategoryAdmin);
-router.get("/admin/titlefilter", requiresAuth, getCategoryTitlesAdmin);
+router.get("/admin/get", requiresAuth, requiresPermission(RESOURCES.Categories, ACTIONS.Read), getCategoriesAdmin);
+router.get("/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Categories, ACTIONS.Read), getCategoryAdmin);
+router.post("/admin", requiresAuth, requiresPermission(RESOURCES.Categories, ACTIONS.Create), addCategoryAdmin);
+router.put("/admin", requiresAuth, requiresPermission(RESOURCES.Categories, ACTIONS.Update), updateCategoryAdmin);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Categories, ACTIONS.Delete), deleteCategoryAdmin);
+router.get("/admin/titlefilter", requiresAuth, requiresPermission(RESOURCES.Categories, ACTIONS.Read), getCategoryTitlesAdmin);
 
 module.exports = router;
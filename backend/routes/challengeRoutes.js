@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const {requiresAuth} = require('../middleware/authMiddleware.js');
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
 const {
   getChallengesAdmin,
@@ -17,11 +19,11 @@ router.get("/get", requiresAuth, getChallengesAdmin);
 router.get("/get-featured", requiresAuth, getFeaturedChallenge);
 router.put("/", requiresAuth, joinChallenge);
 
-router.get("/admin/get", requiresAuth, getChallengesAdmin);
-router.get("/admin/get/:id", requiresAuth, getChallengeAdmin);
-router.post("/admin", requiresAuth, addChallengeAdmin);
-router.put("/admin", requiresAuth, updateChallengeAdmin);
-router.delete("/admin/:id", requiresAuth, deleteChallengeAdmin);
-router.get("/admin/titlefilter", requiresAuth, getChallengeTitlesAdmin);
+router.get("/admin/get", requiresAuth, requiresPermission(RESOURCES.Challenges, ACTIONS.Read), getChallengesAdmin);
+router.get("/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Challenges, ACTIONS.Read), getChallengeAdmin);
+router.post("/admin", requiresAuth, requiresPermission(RESOURCES.Challenges, ACTIONS.Create), addChallengeAdmin);
+router.put("/admin", requiresAuth, requiresPermission(RESOURCES.Challenges, ACTIONS.Update), updateChallengeAdmin);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Challenges, ACTIONS.Delete), deleteChallengeAdmin);
+router.get("/admin/titlefilter", requiresAuth, requiresPermission(RESOURCES.Challenges, ACTIONS.Read), getChallengeTitlesAdmin);
 
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
 const {
   addEquipmentAdmin,
@@ -11,11 +13,13 @@ const {
   getEquipmentTitlesAdmin,
 } = require("../controllers/equipmentController");
 
-router.get("/admin/get", requiresAuth, getEquipmentsAdmin);
-router.get("/admin/get/:id", requiresAuth, getEquipmentAdmin);
-router.post("/admin", requiresAuth, addEquipmentAdmin);
-router.put("/admin", requiresAuth, updateEquipmentAdmin);
-router.delete("/admin/:id", requiresAuth, deleteEquipmentAdmin);
-router.get("/admin/titlefilter", requiresAuth, getEquipmentTitlesAdmin);
+// The member app lists these too.
+router.get("/get", requiresAuth, getEquipmentsAdmin);
+router.get("/admin/get", requiresAuth, requiresPermission(RESOURCES.Equipments, ACTIONS.Read), getEquipmentsAdmin);
+router.get("/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Equipments, ACTIONS.Read), getEquipmentAdmin);
+router.post("/admin", requiresAuth, requiresPermission(RESOURCES.Equipments, ACTIONS.Create), addEquipmentAdmin);
+router.put("/admin", requiresAuth, requiresPermission(RESOURCES.Equipments, ACTIONS.Update), updateEquipmentAdmin);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Equipments, ACTIONS.Delete), deleteEquipmentAdmin);
+router.get("/admin/titlefilter", requiresAuth, requiresPermission(RESOURCES.Equipments, ACTIONS.Read), getEquipmentTitlesAdmin);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { requiresEntitlement } = require("../middleware/entitlementMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
+const { SUBSCRIPTION_PLANS } = require("../utils/enum/woocommerce");
 
 const {
   addExerciseAdmin,
@@ -11,14 +15,14 @@ const {
   getExerciseTitlesAdmin,
 } = require("../controllers/exerciseController");
 
-router.get("/admin/get", requiresAuth, getExercisesAdmin);
-router.get("/admin/get/:id", requiresAuth, getExerciseAdmin);
-router.post("/admin", requiresAuth, addExerciseAdmin);
-router.put("/admin", requiresAuth, updateExerciseAdmin);
-router.delete("/admin/:id", requiresAuth, deleteExerciseAdmin);
-router.get("/admin/titlefilter", requiresAuth, getExerciseTitlesAdmin);
+router.get("/admin/get", requiresAuth, requiresPermission(RESOURCES.Exercises, ACTIONS.Read), getExercisesAdmin);
+router.get("/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Exercises, ACTIONS.Read), getExerciseAdmin);
+router.post("/admin", requiresAuth, requiresPermission(RESOURCES.Exercises, ACTIONS.Create), addExerciseAdmin);
+router.put("/admin", requiresAuth, requiresPermission(RESOURCES.Exercises, ACTIONS.Update), updateExerciseAdmin);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Exercises, ACTIONS.Delete), deleteExerciseAdmin);
+router.get("/admin/titlefilter", requiresAuth, requiresPermission(RESOURCES.Exercises, ACTIONS.Read), getExerciseTitlesAdmin);
 
-router.get("/get", getExercisesAdmin);
-router.get("/get/:id", requiresAuth, getExerciseAdmin);
+router.get("/get", requiresAuth, requiresEntitlement(SUBSCRIPTION_PLANS.PT, SUBSCRIPTION_PLANS.PTA), getExercisesAdmin);
+router.get("/get/:id", requiresAuth, requiresEntitlement(SUBSCRIPTION_PLANS.PT, SUBSCRIPTION_PLANS.PTA), getExerciseAdmin);
 
 module.exports = router;
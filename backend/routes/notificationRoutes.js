@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
+
+const {
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  getCampaignAudience,
+  sendCampaign,
+  cancelCampaign,
+} = require("../controllers/campaignController");
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+} = require("../controllers/notificationController");
+
+router.get("/", requiresAuth, getNotifications);
+router.get("/unread-count", requiresAuth, getUnreadCount);
+router.post("/read-all", requiresAuth, markAllAsRead);
+router.post("/:id/read", requiresAuth, markAsRead);
+router.post("/:id/unread", requiresAuth, markAsUnread);
+
+router.get("/admin/campaigns", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Read), getCampaigns);
+router.get("/admin/campaigns/:id", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Read), getCampaign);
+router.get("/admin/campaigns/:id/audience", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Read), getCampaignAudience);
+router.post("/admin/campaigns", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Create), createCampaign);
+router.put("/admin/campaigns/:id", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Update), updateCampaign);
+router.post("/admin/campaigns/:id/send", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Update), sendCampaign);
+router.post("/admin/campaigns/:id/cancel", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Update), cancelCampaign);
+router.delete("/admin/campaigns/:id", requiresAuth, requiresPermission(RESOURCES.Notifications, ACTIONS.Delete), deleteCampaign);
+
+module.exports = router;
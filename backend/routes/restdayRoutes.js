@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
 const {
   addRestdayAdmin,
@@ -11,12 +13,12 @@ const {
   getRestdaysTitleAdmin,
 } = require("../controllers/restdayController");
 
-router.get("/admin/get", requiresAuth, getRestdaysAdmin);
-router.get("/admin/get/:id", requiresAuth, getRestdayAdmin);
-router.post("/admin", requiresAuth, addRestdayAdmin);
-router.put("/admin", requiresAuth, updateRestdayAdmin);
-router.delete("/admin/:id", requiresAuth, deleteRestdayAdmin);
-router.get("/admin/titlefilter", requiresAuth, getRestdaysTitleAdmin);
+router.get("/admin/get", requiresAuth, requiresPermission(RESOURCES.Restdays, ACTIONS.Read), getRestdaysAdmin);
+router.get("/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Restdays, ACTIONS.Read), getRestdayAdmin);
+router.post("/admin", requiresAuth, requiresPermission(RESOURCES.Restdays, ACTIONS.Create), addRestdayAdmin);
+router.put("/admin", requiresAuth, requiresPermission(RESOURCES.Restdays, ACTIONS.Update), updateRestdayAdmin);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Restdays, ACTIONS.Delete), deleteRestdayAdmin);
+router.get("/admin/titlefilter", requiresAuth, requiresPermission(RESOURCES.Restdays, ACTIONS.Read), getRestdaysTitleAdmin);
 
 router.get("/get/:id", requiresAuth, getRestdayAdmin);
 
@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
 const {
   getScreens,
@@ -8,7 +10,7 @@ const {
 } = require("../controllers/screenController.js");
 
 router.get("/", requiresAuth, getScreens);
-router.put("/", requiresAuth, updateScreens);
+router.put("/", requiresAuth, requiresPermission(RESOURCES.Screens, ACTIONS.Update), updateScreens);
 
 router.get("/get_screens", getScreens);
 
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const { requiresAuth } = require("../middleware/authMiddleware.js");
+
+const { searchContent } = require("../controllers/searchController");
+
+router.get("/", requiresAuth, searchContent);
+
+module.exports = router;
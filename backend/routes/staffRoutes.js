@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const {requiresAuth} = require('../middleware/authMiddleware.js');
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
 const {
   getStaffsAdmin,
@@ -11,11 +13,13 @@ const {
   getStaffTitlesAdmin,
 } = require("../controllers/staffController.js");
 
-router.get("/admin/get", getStaffsAdmin);
-router.get("/admin/get/:id", requiresAuth, getStaffAdmin);
-router.post("/admin", requiresAuth, addStaffAdmin);
-router.put("/admin", requiresAuth, updateStaffAdmin);
-router.delete("/admin/:id", requiresAuth, deleteStaffAdmin);
-router.get("/admin/titlefilter", requiresAuth, getStaffTitlesAdmin);
+// The member app lists these too.
+router.get("/get", requiresAuth, getStaffsAdmin);
+router.get("/admin/get", requiresAuth, requiresPermission(RESOURCES.Staffs, ACTIONS.Read), getStaffsAdmin);
+router.get("/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Staffs, ACTIONS.Read), getStaffAdmin);
+router.post("/admin", requiresAuth, requiresPermission(RESOURCES.Staffs, ACTIONS.Create), addStaffAdmin);
+router.put("/admin", requiresAuth, requiresPermission(RESOURCES.Staffs, ACTIONS.Update), updateStaffAdmin);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Staffs, ACTIONS.Delete), deleteStaffAdmin);
+router.get("/admin/titlefilter", requiresAuth, requiresPermission(RESOURCES.Staffs, ACTIONS.Read), getStaffTitlesAdmin);
 
 module.exports = router;
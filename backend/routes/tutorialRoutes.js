@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
 const {
   getTutorials,
@@ -8,7 +10,7 @@ const {
 } = require("../controllers/tutorialController.js");
 
 router.get("/", requiresAuth, getTutorials);
-router.put("/", requiresAuth, updateTutorials);
+router.put("/", requiresAuth, requiresPermission(RESOURCES.Tutorials, ACTIONS.Update), updateTutorials);
 
 router.get("/get_screens", getTutorials);
 
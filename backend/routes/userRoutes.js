@@ -1,31 +1,104 @@
 const express = require("express");
 const {
   registerUser,
-  signInAdmin,
   getUser,
   getUsers,
   updateUser,
   deleteUser,
+  restoreUser,
+  deleteMe,
   getMe,
   exerciseDone,
   dayDone,
   getWorkoutsHistory,
+  getRoles,
+  setUserRole,
 } = require("../controllers/userController");
+const {
+  signInAdmin,
+  signOutAdmin,
+  createDeviceSession,
+  refreshToken,
+  getSessions,
+  revokeMySession,
+  getSessionsAdmin,
+  revokeSessionAdmin,
+  revokeSessionsAdmin,
+} = require("../controllers/authController");
+const { getStreak, getStreakCalendar } = require("../controllers/streakController");
+const { importUsersAdmin, exportUsersAdmin } = require("../controllers/userBulkController");
+const { getDevices, registerDevice, unregisterDevice } = require("../controllers/deviceController");
+const {
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+  removeFavoriteItem,
+  reorderFavorites,
+} = require("../controllers/favoriteController");
+const {
+  getMyEquipment,
+  saveMyEquipment,
+  deleteMyEquipment,
+  activateMyEquipment,
+} = require("../controllers/equipmentInventoryController");
+const {
+  exportMyData,
+  getMyExport,
+  exportUserDataAdmin,
+  getUserExportAdmin,
+} = require("../controllers/dataExportController");
 const { requiresAuth } = require("../middleware/authMiddleware");
+const { requiresPermission, requiresRole, requiresSelfOrPermission } = require("../middleware/permissionMiddleware");
+const { ROLES, RESOURCES, ACTIONS } = require("../utils/enum/role");
 const router = express.Router();
 
 router.post("/register_user", registerUser);
 router.post("/signin_admin", signInAdmin);
+router.post("/signin_admin/refresh", refreshToken);
+router.post("/signout_admin", requiresAuth, signOutAdmin);
+
+router.post("/token", requiresAuth, createDeviceSession);
+router.post("/token/refresh", refreshToken);
+router.get("/sessions", requiresAuth, getSessions);
+router.delete("/sessions/:sessionId", requiresAuth, revokeMySession);
+
+router.get("/admin/roles", requiresAuth, requiresRole(ROLES.Admin), getRoles);
+router.post("/admin/import", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Create), importUsersAdmin);
+router.get("/admin/export", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Read), exportUsersAdmin);
+router.put("/admin/:id/role", requiresAuth, requiresRole(ROLES.Admin), setUserRole);
+router.get("/admin/:id/sessions", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Update), getSessionsAdmin);
+router.delete("/admin/:id/sessions/:sessionId", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Update), revokeSessionAdmin);
+router.delete("/admin/:id/sessions", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Update), revokeSessionsAdmin);
 
-router.get("/admin/:id", requiresAuth, getUser);
-router.get("/admin", requiresAuth, getUsers);
-router.put("/admin/:id", requiresAuth, updateUser);
-router.delete("/admin/:id", requiresAuth, deleteUser);
+router.get("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Read), getUser);
+router.get("/admin", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Read), getUsers);
+router.put("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Update), updateUser);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Delete), deleteUser);
+router.post("/admin/:id/restore", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Delete), restoreUser);
+router.post("/admin/:id/export", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Read), exportUserDataAdmin);
+router.get("/admin/:id/export/:exportId", requiresAuth, requiresPermission(RESOURCES.Users, ACTIONS.Read), getUserExportAdmin);
 
 router.get("/get_user",requiresAuth, getMe);
-router.put("/:id", updateUser);
+router.delete("/me", requiresAuth, deleteMe);
+router.post("/me/export", requiresAuth, exportMyData);
+router.get("/me/export/:exportId", requiresAuth, getMyExport);
+router.put("/:id", requiresAuth, requiresSelfOrPermission(RESOURCES.Users, ACTIONS.Update), updateUser);
 router.post("/exercise_done", requiresAuth, exerciseDone);
 router.post("/day_done", requiresAuth, dayDone);
+router.get("/devices", requiresAuth, getDevices);
+router.post("/devices", requiresAuth, registerDevice);
+router.delete("/devices/:token", requiresAuth, unregisterDevice);
+router.get("/favorites", requiresAuth, getFavorites);
+router.post("/favorites", requiresAuth, addFavorite);
+router.put("/favorites/order", requiresAuth, reorderFavorites);
+router.delete("/favorites", requiresAuth, removeFavoriteItem);
+router.delete("/favorites/:id", requiresAuth, removeFavorite);
+router.get("/equipment", requiresAuth, getMyEquipment);
+router.put("/equipment/:location", requiresAuth, saveMyEquipment);
+router.delete("/equipment/:location", requiresAuth, deleteMyEquipment);
+router.post("/equipment/:location/activate", requiresAuth, activateMyEquipment);
+router.get("/streak", requiresAuth, getStreak);
+router.get("/streak/calendar", requiresAuth, getStreakCalendar);
 router.post("/workouts_history", getWorkoutsHistory);
 
 module.exports = router;
\ No newline at end of file
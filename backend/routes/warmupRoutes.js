@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { requiresEntitlement } = require("../middleware/entitlementMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
+const { SUBSCRIPTION_PLANS } = require("../utils/enum/woocommerce");
 
 const {
   addWarmupAdmin,
@@ -11,13 +15,13 @@ const {
   getWarmupTitlesAdmin,
 } = require("../controllers/warmupController");
 
-router.get("/admin/get", requiresAuth, getWarmupsAdmin);
-router.get("/admin/get/:id", requiresAuth, getWarmupAdmin);
-router.post("/admin", requiresAuth, addWarmupAdmin);
-router.put("/admin", requiresAuth, updateWarmupAdmin);
-router.delete("/admin/:id", requiresAuth, deleteWarmupAdmin);
-router.get("/admin/titlefilter", requiresAuth, getWarmupTitlesAdmin);
+router.get("/admin/get", requiresAuth, requiresPermission(RESOURCES.Warmups, ACTIONS.Read), getWarmupsAdmin);
+router.get("/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Warmups, ACTIONS.Read), getWarmupAdmin);
+router.post("/admin", requiresAuth, requiresPermission(RESOURCES.Warmups, ACTIONS.Create), addWarmupAdmin);
+router.put("/admin", requiresAuth, requiresPermission(RESOURCES.Warmups, ACTIONS.Update), updateWarmupAdmin);
+router.delete("/admin/:id", requiresAuth, requiresPermission(RESOURCES.Warmups, ACTIONS.Delete), deleteWarmupAdmin);
+router.get("/admin/titlefilter", requiresAuth, requiresPermission(RESOURCES.Warmups, ACTIONS.Read), getWarmupTitlesAdmin);
 
-router.get("/get/:id", requiresAuth, getWarmupAdmin);
+router.get("/get/:id", requiresAuth, requiresEntitlement(SUBSCRIPTION_PLANS.PT, SUBSCRIPTION_PLANS.PTA), getWarmupAdmin);
 
 module.exports = router;
\ No newline at end of file
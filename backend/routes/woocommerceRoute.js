@@ -1,10 +1,21 @@
 const express = require("express");
 const router = express.Router();
+const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
 
-const { 
+const {
     handleWebhook,
+    getWebhookEventsAdmin,
+    getWebhookEventAdmin,
+    replayWebhookEventAdmin,
+    replayDeadLettersAdmin,
 } = require("../controllers/woocommerceController.js");
 
 router.post("/webhook", handleWebhook);
+router.get("/webhook/admin/get", requiresAuth, requiresPermission(RESOURCES.Webhooks, ACTIONS.Read), getWebhookEventsAdmin);
+router.get("/webhook/admin/get/:id", requiresAuth, requiresPermission(RESOURCES.Webhooks, ACTIONS.Read), getWebhookEventAdmin);
+router.post("/webhook/admin/replay", requiresAuth, requiresPermission(RESOURCES.Webhooks, ACTIONS.Update), replayDeadLettersAdmin);
+router.post("/webhook/admin/:id/replay", requiresAuth, requiresPermission(RESOURCES.Webhooks, ACTIONS.Update), replayWebhookEventAdmin);
 
 module.exports = router;
@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const { requiresAuth } = require("../middleware/authMiddleware.js");
+const { requiresPermission } = require("../middleware/permissionMiddleware");
+const { requiresEntitlement } = require("../middleware/entitlementMiddleware");
+const { RESOURCES, ACTIONS } = require("../utils/enum/role");
+const { SUBSCRIPTION_PLANS } = require("../utils/enum/woocommerce");
 const {
   getWorkouts,
   getWorkoutById,
@@ -10,12 +14,43 @@ const {
   imageUrlGenerator,
   updateMonths,
 } = require("../controllers/workoutsController");
+const {
+  getUserMonths,
+  cloneMonths,
+  diffUserMonths,
+  resetUserMonth,
+} = require("../controllers/customProgramController");
+const {
+  getVersions,
+  getVersion,
+  getDraft,
+  saveDraft,
+  publishDraft,
+  discardDraft,
+  cancelSchedule,
+  rollbackVersion,
+} = require("../controllers/programVersionController");
+const { getSubstitutes, applySubstitute } = require("../controllers/substitutionController");
 
-router.get("/", requiresAuth, getWorkouts);
-router.get("/:id", requiresAuth, getWorkoutById);
-router.put("/update", requiresAuth, updateWorkouts);
-router.post("/customize", requiresAuth, updateMonths);
-router.post("/current", getWorkoutForCurrentMonth);
+router.get("/", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Read), getWorkouts);
+router.get("/draft", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Read), getDraft);
+router.put("/draft", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Update), saveDraft);
+router.delete("/draft", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Update), discardDraft);
+router.post("/draft/publish", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Update), publishDraft);
+router.get("/versions", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Read), getVersions);
+router.get("/versions/:id", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Read), getVersion);
+router.post("/versions/:id/cancel", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Update), cancelSchedule);
+router.post("/versions/:id/rollback", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Update), rollbackVersion);
+router.get("/substitutes", requiresAuth, requiresEntitlement(SUBSCRIPTION_PLANS.PT, SUBSCRIPTION_PLANS.PTA), getSubstitutes);
+router.post("/substitutes/apply", requiresAuth, requiresEntitlement(SUBSCRIPTION_PLANS.PT, SUBSCRIPTION_PLANS.PTA), applySubstitute);
+router.get("/:id", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Read), getWorkoutById);
+router.put("/update", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Update), updateWorkouts);
+router.post("/customize", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Customize), updateMonths);
+router.get("/customize/:uid", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Customize), getUserMonths);
+router.post("/customize/:uid/clone", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Customize), cloneMonths);
+router.get("/customize/:uid/diff", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Customize), diffUserMonths);
+router.post("/customize/:uid/reset", requiresAuth, requiresPermission(RESOURCES.Workouts, ACTIONS.Customize), resetUserMonth);
+router.post("/current", requiresAuth, requiresEntitlement(SUBSCRIPTION_PLANS.PT, SUBSCRIPTION_PLANS.PTA), getWorkoutForCurrentMonth);
 router.post("/checkSubscription",requiresAuth, checkSubscription);
-router.post("/upload",requiresAuth, imageUrlGenerator);
+router.post("/upload", requiresAuth, requiresPermission(RESOURCES.Uploads, ACTIONS.Create), imageUrlGenerator);
 module.exports = router;
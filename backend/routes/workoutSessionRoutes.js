@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const { requiresAuth } = require("../middleware/authMiddleware.js");
+
+const {
+  startSession,
+  logSet,
+  finishSession,
+  abandonSession,
+  getSessions,
+  getSession,
+} = require("../controllers/workoutSessionController");
+
+router.get("/", requiresAuth, getSessions);
+router.post("/", requiresAuth, startSession);
+router.get("/:id", requiresAuth, getSession);
+router.post("/:id/sets", requiresAuth, logSet);
+router.post("/:id/finish", requiresAuth, finishSession);
+router.post("/:id/abandon", requiresAuth, abandonSession);
+
+module.exports = router;
@@ -1,13 +1,17 @@
+// Load environment variables first: some modules read them when required
+require("dotenv").config();
+
 // Import required packages and modules
 const express = require("express");
 const http = require("http");
 const connectDB = require("./config/db");
+const connectFirebase = require("./config/firebase");
+const { startScheduler } = require("./utils/scheduler");
+const { errorHandler } = require("./middleware/errorMiddleware");
 const cors = require("cors");
 const mongoSanitize = require("express-mongo-sanitize");
 const multer = require("multer");
 
-require("dotenv").config();
-
 // Define the port on which the server will run
 const port = process.env.PORT || 5004;
 
@@ -17,6 +21,9 @@ connectDB().catch(err => {
   process.exit(1); // Exit the process if the connection fails
 });
 
+// Initialize the Firebase app used for authentication
+connectFirebase();
+
 // Create the Express application
 const app = express();
 
@@ -57,6 +64,14 @@ app.use("/api/categories", require("./routes/categoryRoutes"));
 app.use("/api/staffs", require("./routes/staffRoutes"));
 app.use("/api/challenges", require("./routes/challengeRoutes"));
 app.use("/api/woocommerce", require("./routes/woocommerceRoute"));
+app.use("/api/workout-sessions", require("./routes/workoutSessionRoutes"));
+app.use("/api/analytics", require("./routes/analyticsRoutes"));
+app.use("/api/notifications", require("./routes/notificationRoutes"));
+app.use("/api/search", require("./routes/searchRoutes"));
+
+// Answers the errors of the routes above as JSON
+app.use(errorHandler);
+
 const server = http.createServer(app);
 
 // Error handling for server startup
@@ -66,4 +81,5 @@ server.listen(port, (err) => {
     return;
   }
   console.log(`Server started on port ${port}`);
+  startScheduler();
 });
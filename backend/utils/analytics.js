@@ -0,0 +1,257 @@
+const WorkoutSession = require("../models/workoutSessionModel");
+const { WORKOUT_SESSION_STATUS, SET_STATUS } = require("./enum/workoutSession");
+
+// Workout dates are bucketed in the program's timezone (see utils/date.js).
+const TIMEZONE = "America/New_York";
+
+// Epley formula; a single rep is its own one-rep max.
+const ONE_REP_MAX_EXPRESSION = {
+  $cond: [
+    { $eq: ["$sets.reps", 1] },
+    "$sets.weight",
+    { $multiply: ["$sets.weight", { $add: [1, { $divide: ["$sets.reps", 30] }] }] },
+  ],
+};
+
+const VOLUME_EXPRESSION = {
+  $multiply: [{ $ifNull: ["$sets.reps", 0] }, { $ifNull: ["$sets.weight", 0] }],
+};
+
+// Completed sets of the sessions of a user that were not abandoned, one document per set.
+const completedSetsPipeline = (userId, { from, to } = {}) => {
+  const match = {
+    user: userId,
+    status: { $ne: WORKOUT_SESSION_STATUS.Abandoned },
+  };
+
+  if (from || to) {
+    match.startedAt = {};
+    if (from) match.startedAt.$gte = from;
+    if (to) match.startedAt.$lte = to;
+  }
+
+  return [
+    { $match: match },
+    { $unwind: "$sets" },
+    { $match: { "sets.status": SET_STATUS.Completed } },
+  ];
+};
+
+/**
+ * Best estimated one-rep max, heaviest set and most reps per exercise.
+ *
+ * @param {ObjectId} userId - The user.
+ * @param {Object} range - Optional from/to dates.
+ * @returns {Promise<Array<Object>>}
+ */
+const getPersonalRecords = (userId, range) =>
+  WorkoutSession.aggregate([
+    ...completedSetsPipeline(userId, range),
+    { $match: { "sets.reps": { $gt: 0 } } },
+    {
+      $addFields: {
+        oneRepMax: ONE_REP_MAX_EXPRESSION,
+        volume: VOLUME_EXPRESSION,
+      },
+    },
+    { $sort: { oneRepMax: -1, startedAt: 1 } },
+    {
+      $group: {
+        _id: "$sets.exerciseId",
+        estimatedOneRepMax: { $first: "$oneRepMax" },
+        achievedAt: { $first: "$startedAt" },
+        bestSet: { $first: { reps: "$sets.reps", weight: "$sets.weight" } },
+        maxWeight: { $max: "$sets.weight" },
+        maxReps: { $max: "$sets.reps" },
+        maxSetVolume: { $max: "$volume" },
+        totalSets: { $sum: 1 },
+      },
+    },
+    {
+      $lookup: {
+        from: "exercises",
+        localField: "_id",
+        foreignField: "_id",
+        as: "exercise",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        exerciseId: "$_id",
+        title: { $arrayElemAt: ["$exercise.title", 0] },
+        estimatedOneRepMax: { $round: ["$estimatedOneRepMax", 1] },
+        achievedAt: 1,
+        bestSet: 1,
+        maxWeight: 1,
+        maxReps: 1,
+        maxSetVolume: 1,
+        totalSets: 1,
+      },
+    },
+    { $sort: { title: 1 } },
+  ]);
+
+/**
+ * Training volume (sets x reps x weight) per ISO week.
+ *
+ * @param {ObjectId} userId - The user.
+ * @param {Object} range - Optional from/to dates.
+ * @returns {Promise<Array<Object>>}
+ */
+const getWeeklyVolume = (userId, range) =>
+  WorkoutSession.aggregate([
+    ...completedSetsPipeline(userId, range),
+    {
+      $group: {
+        _id: {
+          year: { $isoWeekYear: { date: "$startedAt", timezone: TIMEZONE } },
+          week: { $isoWeek: { date: "$startedAt", timezone: TIMEZONE } },
+        },
+        volume: { $sum: VOLUME_EXPRESSION },
+        sets: { $sum: 1 },
+        reps: { $sum: { $ifNull: ["$sets.reps", 0] } },
+        sessions: { $addToSet: "$_id" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        year: "$_id.year",
+        week: "$_id.week",
+        volume: 1,
+        sets: 1,
+        reps: 1,
+        sessions: { $size: "$sessions" },
+      },
+    },
+    { $sort: { year: 1, week: 1 } },
+  ]);
+
+/**
+ * Training volume per exercise category. An exercise in several categories
+ * counts towards each of them.
+ *
+ * @param {ObjectId} userId - The user.
+ * @param {Object} range - Optional from/to dates.
+ * @returns {Promise<Array<Object>>}
+ */
+const getCategoryVolume = (userId, range) =>
+  WorkoutSession.aggregate([
+    ...completedSetsPipeline(userId, range),
+    {
+      $lookup: {
+        from: "exercises",
+        localField: "sets.exerciseId",
+        foreignField: "_id",
+        as: "exercise",
+      },
+    },
+    { $unwind: "$exercise" },
+    { $unwind: "$exercise.categories" },
+    {
+      $group: {
+        _id: "$exercise.categories",
+        volume: { $sum: VOLUME_EXPRESSION },
+        sets: { $sum: 1 },
+        reps: { $sum: { $ifNull: ["$sets.reps", 0] } },
+      },
+    },
+    {
+      $lookup: {
+        from: "categories",
+        localField: "_id",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        categoryId: "$_id",
+        title: { $arrayElemAt: ["$category.title", 0] },
+        volume: 1,
+        sets: 1,
+        reps: 1,
+      },
+    },
+    { $sort: { volume: -1 } },
+  ]);
+
+const MONTH_FORMAT = new Intl.DateTimeFormat("en-CA", { timeZone: TIMEZONE, year: "numeric", month: "2-digit" });
+
+// "YYYY-MM" of a date in the program's timezone, as $dateToString gives it.
+const toMonthKey = (date) => MONTH_FORMAT.format(date);
+
+const nextMonthKey = (key) => {
+  const [year, month] = key.split("-").map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, "0")}`;
+};
+
+const percentChange = (current, previous) =>
+  previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+
+/**
+ * Volume, sets and sessions per calendar month, each compared with the month
+ * before. Months without workouts are listed with zeros, from the first month
+ * with workouts to the end of the range, or the current month.
+ *
+ * @param {ObjectId} userId - The user.
+ * @param {Object} range - Optional from/to dates.
+ * @returns {Promise<Array<Object>>}
+ */
+const getMonthlyComparison = async (userId, range) => {
+  const months = await WorkoutSession.aggregate([
+    ...completedSetsPipeline(userId, range),
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m", date: "$startedAt", timezone: TIMEZONE } },
+        volume: { $sum: VOLUME_EXPRESSION },
+        sets: { $sum: 1 },
+        reps: { $sum: { $ifNull: ["$sets.reps", 0] } },
+        sessions: { $addToSet: "$_id" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        month: "$_id",
+        volume: 1,
+        sets: 1,
+        reps: 1,
+        sessions: { $size: "$sessions" },
+      },
+    },
+    { $sort: { month: 1 } },
+  ]);
+
+  if (!months.length) return [];
+
+  const byKey = new Map(months.map((month) => [month.month, month]));
+  const lastKey = [toMonthKey(range && range.to ? range.to : new Date()), months[months.length - 1].month].sort()[1];
+  const calendar = [];
+  for (let key = months[0].month; key <= lastKey; key = nextMonthKey(key)) {
+    calendar.push(byKey.get(key) || { month: key, volume: 0, sets: 0, reps: 0, sessions: 0 });
+  }
+
+  return calendar.map((month, index) => {
+    const previous = calendar[index - 1];
+    return {
+      ...month,
+      change: previous
+        ? {
+            volume: percentChange(month.volume, previous.volume),
+            sets: percentChange(month.sets, previous.sets),
+            sessions: percentChange(month.sessions, previous.sessions),
+          }
+        : null,
+    };
+  });
+};
+
+module.exports = {
+  getPersonalRecords,
+  getWeeklyVolume,
+  getCategoryVolume,
+  getMonthlyComparison,
+};
@@ -0,0 +1,22 @@
+const AuditLog = require("../models/auditLogModel");
+
+/**
+ * Records a change made to a user.
+ *
+ * @param {Object} entry - action, actorType, and optionally actor, target (a user), changes and metadata.
+ * @returns {Promise<Object>} The AuditLog document.
+ */
+const recordAudit = ({ action, actorType, actor, target, changes, metadata }) =>
+  AuditLog.create({
+    action,
+    actorType,
+    actor: actor && actor._id,
+    target: target && target._id,
+    targetUid: target && target.uid,
+    changes,
+    metadata,
+  });
+
+module.exports = {
+  recordAudit,
+};
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const User = require("../models/userModel");
+const Campaign = require("../models/campaignModel");
+const { buildUserFilter } = require("./userQuery");
+const { sendToUsers } = require("./notifications");
+const { httpError } = require("./httpError");
+const { CAMPAIGN_STATUS } = require("./enum/notification");
+const { SUBSCRIPTION_PLANS, SUBSCRIPTION_STATUS } = require("./enum/woocommerce");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_SEGMENT_USERS = 1000;
+
+const readSegmentNumber = (segment, name) => {
+  const value = segment[name];
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) throw httpError(400, `segment.${name} must be a positive number`);
+  return number;
+};
+
+/**
+ * Validates the segment of a campaign from a request body.
+ *
+ * @param {Object} segment - plan, subscriptionStatus, levelMin, levelMax,
+ *   challengeId, inactiveDays and userIds.
+ * @returns {Object} The segment to store.
+ * @throws {Error} With status 400 when a condition is not valid.
+ */
+const parseSegment = (segment = {}) => {
+  const { plan, subscriptionStatus, challengeId, userIds } = segment;
+
+  if (plan && !Object.values(SUBSCRIPTION_PLANS).includes(plan)) {
+    throw httpError(400, `segment.plan must be one of: ${Object.values(SUBSCRIPTION_PLANS).join(", ")}`);
+  }
+
+  if (subscriptionStatus && !Object.values(SUBSCRIPTION_STATUS).includes(subscriptionStatus)) {
+    throw httpError(400, `segment.subscriptionStatus must be one of: ${Object.values(SUBSCRIPTION_STATUS).join(", ")}`);
+  }
+
+  if (challengeId && !mongoose.Types.ObjectId.isValid(challengeId)) {
+    throw httpError(400, "segment.challengeId is not valid");
+  }
+
+  if (userIds !== undefined) {
+    if (!Array.isArray(userIds) || userIds.length > MAX_SEGMENT_USERS) {
+      throw httpError(400, `segment.userIds must be a list of at most ${MAX_SEGMENT_USERS} ids`);
+    }
+    if (userIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw httpError(400, "segment.userIds contains an id that is not valid");
+    }
+  }
+
+  return {
+    plan: plan || undefined,
+    subscriptionStatus: subscriptionStatus || undefined,
+    levelMin: readSegmentNumber(segment, "levelMin"),
+    levelMax: readSegmentNumber(segment, "levelMax"),
+    challengeId: challengeId || undefined,
+    inactiveDays: readSegmentNumber(segment, "inactiveDays"),
+    userIds: userIds || [],
+  };
+};
+
+/**
+ * Mongo filter on the users a campaign segment targets. Users who were never
+ * active count as inactive.
+ *
+ * @param {Object} segment - The segment of a campaign.
+ * @returns {Promise<Object>} The filter.
+ */
+const buildSegmentFilter = async (segment = {}) => {
+  const filter = await buildUserFilter({
+    plan: segment.plan,
+    subscriptionStatus: segment.subscriptionStatus,
+    levelMin: segment.levelMin,
+    levelMax: segment.levelMax,
+    challengeId: segment.challengeId ? String(segment.challengeId) : undefined,
+  });
+
+  if (segment.inactiveDays) {
+    const activeBefore = new Date(Date.now() - segment.inactiveDays * DAY_MS);
+    filter.$and.push({ $or: [{ lastActiveAt: { $lt: activeBefore } }, { lastActiveAt: null }] });
+  }
+
+  if (segment.userIds && segment.userIds.length) {
+    filter.$and.push({ _id: { $in: segment.userIds } });
+  }
+
+  return filter;
+};
+
+const countAudience = async (campaign) =>
+  User.countDocuments(await buildSegmentFilter(campaign.segment));
+
+/**
+ * Sends a campaign that is being sent and records its delivery statistics.
+ *
+ * @param {Object} campaign - The Campaign document, in sending.
+ * @returns {Promise<Object>} The updated campaign.
+ */
+const deliverCampaign = async (campaign) => {
+  try {
+    campaign.stats = await sendToUsers(await buildSegmentFilter(campaign.segment), {
+      title: campaign.title,
+      body: campaign.body,
+      data: campaign.data,
+    });
+    campaign.status = CAMPAIGN_STATUS.Sent;
+  } catch (error) {
+    console.error(`Failed to send campaign ${campaign._id}:`, error);
+    campaign.status = CAMPAIGN_STATUS.Failed;
+    campaign.error = error.message;
+  }
+
+  campaign.sentAt = new Date();
+  return campaign.save();
+};
+
+// Moves a campaign to sending, unless it was already taken, so it is never sent twice.
+const claimCampaign = (filter, user) =>
+  Campaign.findOneAndUpdate(
+    filter,
+    { status: CAMPAIGN_STATUS.Sending, claimedAt: new Date(), ...(user && { sentBy: user._id }) },
+    { new: true }
+  );
+
+// A campaign left in sending this long belongs to a sender that died. Some of
+// its pushes may have gone out, so it is marked failed rather than sent again.
+const SENDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+const failStaleCampaigns = () =>
+  Campaign.updateMany(
+    {
+      status: CAMPAIGN_STATUS.Sending,
+      $or: [{ claimedAt: { $lte: new Date(Date.now() - SENDING_TIMEOUT_MS) } }, { claimedAt: null }],
+    },
+    { status: CAMPAIGN_STATUS.Failed, error: "Sending did not finish", sentAt: new Date() }
+  );
+
+const sendCampaignNow = async (campaign, user) => {
+  const claimed = await claimCampaign(
+    { _id: campaign._id, status: { $in: [CAMPAIGN_STATUS.Draft, CAMPAIGN_STATUS.Scheduled] } },
+    user
+  );
+  return claimed && deliverCampaign(claimed);
+};
+
+// Run by the scheduler.
+const sendDueCampaigns = async () => {
+  await failStaleCampaigns();
+
+  let campaign = await claimCampaign({
+    status: CAMPAIGN_STATUS.Scheduled,
+    scheduledAt: { $lte: new Date() },
+  });
+
+  while (campaign) {
+    await deliverCampaign(campaign);
+    campaign = await claimCampaign({
+      status: CAMPAIGN_STATUS.Scheduled,
+      scheduledAt: { $lte: new Date() },
+    });
+  }
+};
+
+module.exports = {
+  parseSegment,
+  buildSegmentFilter,
+  countAudience,
+  sendCampaignNow,
+  sendDueCampaigns,
+};
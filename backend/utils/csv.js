@@ -0,0 +1,88 @@
+// Spreadsheets run values starting with these as formulas.
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PATTERN.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(",");
+
+/**
+ * Writes rows as CSV, with a header line.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {Array<string>} columns - Keys of the rows to write, in order.
+ * @returns {string} The CSV text.
+ */
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map(toCsvLine)
+    .join("\r\n");
+
+/**
+ * Reads CSV text whose first line names the columns. Quoted values may
+ * contain commas, quotes ("") and line breaks. Blank lines are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} One object per line, keyed by column name.
+ */
+const parseCsv = (text) => {
+  const lines = [];
+  let line = [];
+  let value = "";
+  let quoted = false;
+
+  const endValue = () => {
+    line.push(value);
+    value = "";
+  };
+  const endLine = () => {
+    endValue();
+    if (line.some((item) => item !== "")) lines.push(line);
+    line = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endValue();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") index++;
+      endLine();
+    } else {
+      value += char;
+    }
+  }
+  endLine();
+
+  const [header = [], ...rows] = lines;
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((row) =>
+    Object.fromEntries(columns.map((column, index) => [column, (row[index] || "").trim()]))
+  );
+};
+
+module.exports = {
+  toCsvLine,
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,97 @@
+const User = require("../models/userModel");
+const { recordAudit } = require("./audit");
+const { updateAuthEmail } = require("./firebaseAuth");
+const { parseWooDate } = require("./entitlements");
+const { escapeRegex } = require("./regex");
+const { AUDIT_ACTIONS, AUDIT_ACTOR_TYPES } = require("./enum/audit");
+
+/**
+ * Maps a WooCommerce customer onto the fields of a User. Empty values are
+ * left out so they never clear what the user entered in the app.
+ *
+ * @param {Object} customer - Customer as sent by WooCommerce.
+ * @returns {Object} Paths of User and their values.
+ */
+const toUserFields = (customer) => {
+  const billing = customer.billing || {};
+  const location = [billing.city, billing.country].filter(Boolean).join(", ");
+  const fields = {
+    name: customer.first_name,
+    firstName: customer.first_name,
+    lastName: customer.last_name,
+    email: customer.email,
+    "detail.location": location,
+  };
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+};
+
+const sameEmail = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+/**
+ * Applies a customer.updated webhook to the user with the same WooCommerce id.
+ * A delivery older than the last one applied changes nothing. The user is
+ * saved before Firebase Auth gets the new email, and restored if that fails.
+ *
+ * @param {Object} customer - Customer as sent by WooCommerce.
+ * @returns {Promise<Object|null>} The user, or null if the customer is unknown.
+ */
+const syncCustomer = async (customer) => {
+  const user = await User.findOne({ uid: customer.id });
+  if (!user) return null;
+
+  const modifiedAt = parseWooDate(customer.date_modified_gmt || customer.date_modified);
+  if (modifiedAt && user.customerModifiedAt && modifiedAt <= user.customerModifiedAt) {
+    return user;
+  }
+
+  const fields = toUserFields(customer);
+  const oldEmail = user.email;
+  const oldModifiedAt = user.customerModifiedAt;
+  const emailChanged = fields.email && !sameEmail(fields.email, oldEmail);
+
+  if (emailChanged) {
+    const emailTaken = await User.exists({
+      email: new RegExp(`^${escapeRegex(fields.email)}$`, "i"),
+      _id: { $ne: user._id },
+    });
+    if (emailTaken) {
+      throw new Error(`Another user already has the email ${fields.email}`);
+    }
+  } else {
+    delete fields.email;
+  }
+
+  // Avatars uploaded in the app win over the Gravatar image of the store.
+  if (customer.avatar_url && !user.detail.avatarUrl) {
+    fields["detail.avatarUrl"] = customer.avatar_url;
+  }
+  if (modifiedAt) fields.customerModifiedAt = modifiedAt;
+
+  user.set(fields);
+  await user.save();
+
+  if (emailChanged) {
+    try {
+      await updateAuthEmail(oldEmail, fields.email);
+    } catch (error) {
+      // The webhook is retried, so the user must not keep an email they cannot sign in with.
+      await User.updateOne({ _id: user._id }, { email: oldEmail, customerModifiedAt: oldModifiedAt });
+      throw error;
+    }
+
+    await recordAudit({
+      action: AUDIT_ACTIONS.UserEmailChanged,
+      actorType: AUDIT_ACTOR_TYPES.WooCommerce,
+      target: user,
+      changes: [{ field: "email", from: oldEmail, to: fields.email }],
+    });
+  }
+
+  return user;
+};
+
+module.exports = {
+  toUserFields,
+  syncCustomer,
+};
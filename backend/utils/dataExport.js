@@ -0,0 +1,272 @@
+const JSZip = require("jszip");
+const DataExport = require("../models/dataExportModel");
+const Exercise = require("../models/exerciseModel");
+const UpdatedMonth = require("../models/updatedWorkoutModel");
+const Challenge = require("../models/challengeModel");
+const WorkoutSession = require("../models/workoutSessionModel");
+const StreakMilestone = require("../models/streakMilestoneModel");
+const Notification = require("../models/notificationModel");
+const Favorite = require("../models/favoriteModel");
+const { toCsv } = require("./csv");
+const { uploadPrivateFile, getSignedFileUrl, deleteFile } = require("./files/google/gcs");
+const { DATA_EXPORT_STATUS } = require("./enum/dataExport");
+const { FAVORITE_TYPES } = require("./enum/favorite");
+
+const readNumber = (value, fallback) =>
+  value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+// Users with more records than syncMaxRecords get their export generated in
+// the background. Generated archives are deleted after retentionDays.
+const DATA_EXPORT_POLICY = {
+  syncMaxRecords: readNumber(process.env.DATA_EXPORT_SYNC_MAX_RECORDS, 1000),
+  retentionDays: readNumber(process.env.DATA_EXPORT_RETENTION_DAYS, 7),
+};
+
+const DOWNLOAD_URL_TTL_MS = 15 * 60 * 1000;
+
+// An export left in processing this long belongs to a worker that died.
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getArchiveName = (date = new Date()) => `bbb-data-${date.toISOString().slice(0, 10)}.zip`;
+
+/**
+ * Number of records an export of the user would contain, to decide whether
+ * it can be generated during the request.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<number>}
+ */
+const countRecords = async (user) => {
+  const sessions = await WorkoutSession.countDocuments({ user: user._id });
+  return sessions + user.dayHistory.length + user.workoutsHistory.length;
+};
+
+const collectUserData = async (user) => {
+  const { workoutsHistory, dayHistory, favorites, ...profile } = user.toJSON();
+
+  const [legacyFavorites, savedFavorites, sessions, customPlans, challenges, milestones, notifications] = await Promise.all([
+    Exercise.find({ _id: { $in: favorites } }).select("title").lean(),
+    Favorite.find({ user: user._id }).sort({ position: 1 }).populate("item", "title").lean(),
+    WorkoutSession.find({ user: user._id }).sort({ startedAt: 1 }).lean(),
+    user.uid !== undefined ? UpdatedMonth.find({ uid: user.uid }).sort({ index: 1 }).lean() : [],
+    Challenge.find({ joinedUsers: user._id }).select("title description link").lean(),
+    StreakMilestone.find({ user: user._id }).sort({ reachedOn: 1 }).lean(),
+    Notification.find({ user: user._id }).sort({ createdAt: 1 }).select("type title body data readAt createdAt").lean(),
+  ]);
+
+  return {
+    profile,
+    favorites: [
+      ...savedFavorites.map((favorite) => ({
+        type: favorite.type,
+        itemId: favorite.item ? favorite.item._id : undefined,
+        title: favorite.item ? favorite.item.title : undefined,
+        ...favorite.day,
+      })),
+      // Saved before favorites had their own collection.
+      ...legacyFavorites.map((exercise) => ({ type: FAVORITE_TYPES.Exercise, itemId: exercise._id, title: exercise.title })),
+    ],
+    sessions,
+    dayHistory,
+    workoutsHistory,
+    customPlans,
+    challenges: challenges.map((challenge) => ({ challengeId: challenge._id, ...challenge, _id: undefined })),
+    milestones,
+    notifications,
+  };
+};
+
+const toSetRows = (sessions) =>
+  sessions.flatMap((session) =>
+    session.sets.map((set) => ({
+      sessionId: session._id,
+      startedAt: session.startedAt,
+      finishedAt: session.finishedAt,
+      sessionStatus: session.status,
+      monthIndex: session.monthIndex,
+      weekIndex: session.weekIndex,
+      dayIndex: session.dayIndex,
+      ...set,
+      setStatus: set.status,
+    }))
+  );
+
+/**
+ * Builds the archive of everything kept about a user: each dataset as JSON,
+ * and as CSV when it is a flat list.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<Buffer>} The zip archive.
+ */
+const buildArchive = async (user) => {
+  const data = await collectUserData(user);
+  const zip = new JSZip();
+
+  const addDataset = (name, json, csv) => {
+    zip.file(`${name}.json`, JSON.stringify(json, null, 2));
+    if (csv) zip.file(`${name}.csv`, toCsv(csv.rows, csv.columns));
+  };
+
+  addDataset("profile", data.profile);
+  addDataset("favorites", data.favorites, {
+    rows: data.favorites,
+    columns: ["type", "itemId", "title", "monthIndex", "weekIndex", "dayIndex"],
+  });
+  addDataset("workout-sessions", data.sessions, {
+    rows: toSetRows(data.sessions),
+    columns: [
+      "sessionId", "startedAt", "finishedAt", "sessionStatus", "monthIndex", "weekIndex", "dayIndex",
+      "exerciseId", "exerciseIndex", "setIndex", "reps", "weight", "rest", "rpe", "setStatus", "loggedAt",
+    ],
+  });
+  addDataset("day-history", data.dayHistory, {
+    rows: data.dayHistory,
+    columns: ["monthIndex", "weekIndex", "daySplit", "dayIndex", "state", "streak", "completedAt"],
+  });
+  addDataset("workouts-history", data.workoutsHistory, {
+    rows: data.workoutsHistory,
+    columns: ["monthIndex", "weekIndex", "dayId", "daySplit", "dayIndex", "exerciseId", "sets", "reps", "weight", "rest"],
+  });
+  addDataset("custom-plans", data.customPlans);
+  addDataset("challenges", data.challenges, {
+    rows: data.challenges,
+    columns: ["challengeId", "title", "description", "link"],
+  });
+  addDataset("streak-milestones", data.milestones, {
+    rows: data.milestones,
+    columns: ["days", "streakStart", "reachedOn"],
+  });
+  addDataset("notifications", data.notifications, {
+    rows: data.notifications,
+    columns: ["type", "title", "body", "readAt", "createdAt"],
+  });
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+};
+
+/**
+ * Queues an export of a user. An export already waiting is reused.
+ *
+ * @param {Object} user - The user to export.
+ * @param {Object} requestedBy - The user asking for it.
+ * @returns {Promise<Object>} The DataExport document.
+ */
+const requestExport = async (user, requestedBy) => {
+  const existing = await DataExport.findOne({
+    user: user._id,
+    status: { $in: [DATA_EXPORT_STATUS.Pending, DATA_EXPORT_STATUS.Processing] },
+  });
+  if (existing) return existing;
+
+  return DataExport.create({ user: user._id, requestedBy: requestedBy && requestedBy._id });
+};
+
+const claimNextExport = () => {
+  const now = new Date();
+
+  return DataExport.findOneAndUpdate(
+    {
+      $or: [
+        { status: DATA_EXPORT_STATUS.Pending },
+        {
+          status: DATA_EXPORT_STATUS.Processing,
+          startedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { status: DATA_EXPORT_STATUS.Processing, startedAt: now },
+    { new: true, sort: { createdAt: 1 } }
+  ).populate("user");
+};
+
+const runExport = async (dataExport) => {
+  try {
+    if (!dataExport.user) throw new Error("User not found");
+
+    const archive = await buildArchive(dataExport.user);
+    dataExport.filePath = await uploadPrivateFile(
+      archive,
+      `exports/${dataExport.user._id}/${dataExport._id}.zip`,
+      "application/zip"
+    );
+    dataExport.size = archive.length;
+    dataExport.status = DATA_EXPORT_STATUS.Ready;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + DATA_EXPORT_POLICY.retentionDays * DAY_MS);
+  } catch (error) {
+    console.error(`Failed to export data ${dataExport._id}:`, error);
+    dataExport.status = DATA_EXPORT_STATUS.Failed;
+    dataExport.error = error.message;
+  }
+
+  return dataExport.save();
+};
+
+// Run by the scheduler, and right after an export is requested.
+const processPendingExports = async () => {
+  let dataExport = await claimNextExport();
+
+  while (dataExport) {
+    await runExport(dataExport);
+    dataExport = await claimNextExport();
+  }
+};
+
+// Run by the scheduler.
+const expireExports = async () => {
+  const expired = await DataExport.find({
+    status: DATA_EXPORT_STATUS.Ready,
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const dataExport of expired) {
+    await deleteFile(dataExport.filePath);
+    dataExport.status = DATA_EXPORT_STATUS.Expired;
+    await dataExport.save();
+  }
+};
+
+/**
+ * Status of an export, with a short-lived download link once it is ready.
+ *
+ * @param {Object} dataExport - The DataExport document.
+ * @returns {Promise<Object>}
+ */
+const describeExport = async (dataExport) => {
+  const { filePath, ...description } = dataExport.toJSON();
+
+  if (dataExport.status === DATA_EXPORT_STATUS.Ready) {
+    description.downloadUrl = await getSignedFileUrl(
+      filePath,
+      DOWNLOAD_URL_TTL_MS,
+      getArchiveName(dataExport.completedAt)
+    );
+  }
+
+  return description;
+};
+
+// Used when a user is erased.
+const deleteUserExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId, filePath: { $ne: null } });
+
+  for (const dataExport of exports) {
+    await deleteFile(dataExport.filePath);
+  }
+
+  await DataExport.deleteMany({ user: userId });
+};
+
+module.exports = {
+  DATA_EXPORT_POLICY,
+  getArchiveName,
+  countRecords,
+  buildArchive,
+  requestExport,
+  processPendingExports,
+  expireExports,
+  describeExport,
+  deleteUserExports,
+};
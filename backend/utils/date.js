@@ -16,7 +16,21 @@ function calculateDayDifference (date1, date2) {
     return estNow;
   }
   
+  // en-CA formats dates as "YYYY-MM-DD". New York time follows daylight saving.
+  const estDayFormat = new Intl.DateTimeFormat("en-CA", {
+    timeZone: "America/New_York",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  });
+
+  // Calendar day of a date in New York time, as "YYYY-MM-DD".
+  function getEstDayKey(date = new Date()) {
+    return estDayFormat.format(new Date(date));
+  }
+  
   module.exports = {
     calculateDayDifference,
-    getEstTime
+    getEstTime,
+    getEstDayKey
   }
\ No newline at end of file
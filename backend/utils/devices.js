@@ -0,0 +1,96 @@
+const User = require("../models/userModel");
+
+const MAX_DEVICES_PER_USER = 20;
+
+// FCM considers a token that has not been used for 270 days stale.
+const STALE_DEVICE_DAYS = 270;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Registers the push token of a device for a user, or refreshes it if known.
+ * The token is taken away from any other user, and the devices least recently
+ * seen are dropped beyond MAX_DEVICES_PER_USER.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} device - token, and optionally platform, appVersion and locale.
+ * @returns {Promise<Object>} The registered device.
+ */
+const registerDevice = async (user, { token, platform, appVersion, locale }) => {
+  const now = new Date();
+
+  // A phone that changes hands keeps its token.
+  await User.updateMany(
+    { _id: { $ne: user._id }, $or: [{ "devices.token": token }, { deviceTokens: token }] },
+    { $pull: { devices: { token }, deviceTokens: token } }
+  );
+
+  const existing = user.devices.find((device) => device.token === token);
+  const device = {
+    token,
+    platform: platform || (existing && existing.platform),
+    appVersion: appVersion || (existing && existing.appVersion),
+    locale: locale || (existing && existing.locale),
+    registeredAt: (existing && existing.registeredAt) || now,
+    lastSeenAt: now,
+  };
+
+  user.devices = [device, ...user.devices.filter((item) => item.token !== token)]
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    .slice(0, MAX_DEVICES_PER_USER);
+  user.deviceTokens = user.deviceTokens.filter((item) => item !== token);
+  await user.save();
+
+  return user.devices.find((item) => item.token === token);
+};
+
+const unregisterDevice = async (user, token) => {
+  const result = await User.updateOne(
+    { _id: user._id },
+    { $pull: { devices: { token }, deviceTokens: token } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Push tokens of users, from the registry and the legacy deviceTokens list.
+ *
+ * @param {Array<Object>} users - Users with devices and deviceTokens selected.
+ * @returns {Array<string>} Unique tokens.
+ */
+const getDeviceTokens = (users) => [
+  ...new Set(
+    users.flatMap((user) => [
+      ...(user.devices || []).map((device) => device.token),
+      ...(user.deviceTokens || []),
+    ])
+  ),
+];
+
+// Called with the tokens the push provider rejected as invalid.
+const pruneInvalidTokens = async (tokens) => {
+  if (!tokens.length) return;
+
+  await User.updateMany(
+    { $or: [{ "devices.token": { $in: tokens } }, { deviceTokens: { $in: tokens } }] },
+    { $pull: { devices: { token: { $in: tokens } }, deviceTokens: { $in: tokens } } }
+  );
+};
+
+// Run by the scheduler.
+const pruneStaleDevices = () => {
+  const staleBefore = new Date(Date.now() - STALE_DEVICE_DAYS * DAY_MS);
+
+  return User.updateMany(
+    { "devices.lastSeenAt": { $lt: staleBefore } },
+    { $pull: { devices: { lastSeenAt: { $lt: staleBefore } } } }
+  );
+};
+
+module.exports = {
+  registerDevice,
+  unregisterDevice,
+  getDeviceTokens,
+  pruneInvalidTokens,
+  pruneStaleDevices,
+};
@@ -0,0 +1,240 @@
+const User = require("../models/userModel");
+const { getCustomerSubscriptions } = require("./woo");
+const { SUBSCRIPTION_PLANS, SUBSCRIPTION_STATUS } = require("./enum/woocommerce");
+
+const readNumber = (value, fallback) =>
+  value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+// Days a subscription keeps giving access after it stops being active: an
+// on-hold subscription (failed renewal) from the moment it was put on hold, a
+// pending-cancel one after its paid period if WooCommerce sent no end date.
+const ENTITLEMENT_GRACE_DAYS = {
+  [SUBSCRIPTION_STATUS.OnHold]: readNumber(process.env.SUBSCRIPTION_ON_HOLD_GRACE_DAYS, 7),
+  [SUBSCRIPTION_STATUS.PendingCancel]: readNumber(process.env.SUBSCRIPTION_PENDING_CANCEL_GRACE_DAYS, 0),
+};
+
+// Hours after which the stored entitlements of a user are checked against the
+// WooCommerce API again, in case a webhook was lost.
+const ENTITLEMENTS_MAX_AGE_HOURS = readNumber(process.env.ENTITLEMENTS_MAX_AGE_HOURS, 24);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// WooCommerce sends GMT dates without a timezone, and "" when there is none.
+const parseWooDate = (value) => {
+  if (!value) return undefined;
+  return new Date(/Z$/.test(value) ? value : `${value}Z`);
+};
+
+const getPlanForProduct = (productId) => {
+  switch (String(productId)) {
+    case process.env.PT_SUBSCRIPTION_ID:
+      return SUBSCRIPTION_PLANS.PT;
+    case process.env.PTA_SUBSCRIPTION_ID:
+      return SUBSCRIPTION_PLANS.PTA;
+    default:
+      return null;
+  }
+};
+
+// When the subscription was put on hold: kept from the stored entitlement while
+// it stays on hold, otherwise the modification that put it on hold.
+const getOnHoldSince = (subscription, plan, stored, modifiedAt) => {
+  if (subscription.status !== SUBSCRIPTION_STATUS.OnHold) return undefined;
+
+  const previous = stored.find(
+    (item) =>
+      item.subscriptionId === subscription.id &&
+      item.plan === plan &&
+      item.status === SUBSCRIPTION_STATUS.OnHold
+  );
+  return (previous && (previous.onHoldSince || previous.modifiedAt)) || modifiedAt;
+};
+
+/**
+ * Entitlements granted by a WooCommerce subscription, one per plan among its
+ * line items. Subscriptions to other products grant none.
+ *
+ * @param {Object} subscription - Subscription as sent by WooCommerce.
+ * @param {Array<Object>} [stored] - The entitlements stored on the user so far.
+ * @returns {Array<Object>} The entitlements.
+ */
+const toEntitlements = (subscription, stored = []) => {
+  const plans = new Set(
+    (subscription.line_items || [])
+      .map((item) => getPlanForProduct(item.product_id))
+      .filter(Boolean)
+  );
+
+  const modifiedAt = parseWooDate(subscription.date_modified_gmt) || new Date();
+
+  return [...plans].map((plan) => ({
+    subscriptionId: subscription.id,
+    plan,
+    status: subscription.status,
+    nextPaymentAt: parseWooDate(subscription.next_payment_date_gmt),
+    endAt: parseWooDate(subscription.end_date_gmt),
+    modifiedAt,
+    onHoldSince: getOnHoldSince(subscription, plan, stored, modifiedAt),
+  }));
+};
+
+/**
+ * Stores a subscription from a webhook on its customer. Webhooks arriving
+ * out of order are ignored, using the modification date of the subscription.
+ *
+ * @param {Object} subscription - Subscription as sent by WooCommerce.
+ * @returns {Promise<Object|null>} The user, or null if the customer is unknown.
+ */
+const syncSubscription = async (subscription) => {
+  const user = await User.findOne({ uid: subscription.customer_id });
+  if (!user) return null;
+
+  const entitlements = toEntitlements(subscription, user.entitlements);
+  const stored = user.entitlements.find((item) => item.subscriptionId === subscription.id);
+  const modifiedAt = parseWooDate(subscription.date_modified_gmt);
+  if (stored && modifiedAt && stored.modifiedAt > modifiedAt) {
+    return user;
+  }
+
+  user.entitlements = [
+    ...user.entitlements.filter((item) => item.subscriptionId !== subscription.id),
+    ...entitlements,
+  ];
+  user.entitlementsSyncedAt = new Date();
+  await user.save();
+
+  return user;
+};
+
+// A deleted subscription no longer grants anything.
+const removeSubscription = (subscriptionId) =>
+  User.updateMany(
+    { "entitlements.subscriptionId": subscriptionId },
+    { $pull: { entitlements: { subscriptionId } } }
+  );
+
+/**
+ * Replaces the entitlements of a user with what WooCommerce currently has.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<Array<Object>>} The new entitlements.
+ */
+const refreshEntitlements = async (user) => {
+  const subscriptions = await getCustomerSubscriptions(user.uid);
+
+  user.entitlements = subscriptions.flatMap((subscription) => toEntitlements(subscription, user.entitlements));
+  user.entitlementsSyncedAt = new Date();
+  await User.updateOne(
+    { _id: user._id },
+    { entitlements: user.entitlements, entitlementsSyncedAt: user.entitlementsSyncedAt }
+  );
+
+  return user.entitlements;
+};
+
+/**
+ * Until when an entitlement gives access.
+ *
+ * @param {Object} entitlement - A stored entitlement.
+ * @returns {Date|null} Infinity for an active subscription, null for no access.
+ */
+const getAccessUntil = (entitlement) => {
+  const graceDays = ENTITLEMENT_GRACE_DAYS[entitlement.status];
+
+  switch (entitlement.status) {
+    case SUBSCRIPTION_STATUS.Active:
+      return Infinity;
+    case SUBSCRIPTION_STATUS.PendingCancel: {
+      const paidUntil = entitlement.endAt || entitlement.nextPaymentAt || entitlement.modifiedAt;
+      return new Date(paidUntil.getTime() + graceDays * DAY_MS);
+    }
+    case SUBSCRIPTION_STATUS.OnHold: {
+      // Entitlements stored before onHoldSince existed fall back to modifiedAt.
+      const onHoldSince = entitlement.onHoldSince || entitlement.modifiedAt;
+      return new Date(onHoldSince.getTime() + graceDays * DAY_MS);
+    }
+    default:
+      return null;
+  }
+};
+
+const isEntitlementActive = (entitlement, now = new Date()) => {
+  const accessUntil = getAccessUntil(entitlement);
+  return accessUntil !== null && accessUntil >= now;
+};
+
+const isInGrace = (entitlement) =>
+  entitlement.status !== SUBSCRIPTION_STATUS.Active && isEntitlementActive(entitlement);
+
+const getActivePlans = (user) =>
+  [...new Set(user.entitlements.filter((item) => isEntitlementActive(item)).map((item) => item.plan))];
+
+// Falls back to the WooCommerce API for customers never synced before, or not
+// synced for ENTITLEMENTS_MAX_AGE_HOURS.
+const ensureEntitlements = async (user) => {
+  if (!user.uid) return;
+  if (
+    user.entitlementsSyncedAt &&
+    Date.now() - user.entitlementsSyncedAt.getTime() < ENTITLEMENTS_MAX_AGE_HOURS * HOUR_MS
+  ) {
+    return;
+  }
+
+  try {
+    await refreshEntitlements(user);
+  } catch (error) {
+    console.error("Failed to refresh entitlements:", error);
+  }
+};
+
+/**
+ * Finds the entitlement giving the user access to one of the plans, preferring
+ * an active subscription over one in its grace period.
+ *
+ * @param {Object} user - The user document.
+ * @param {Array<string>} plans - Values of SUBSCRIPTION_PLANS, any of which grants access.
+ * @returns {Promise<Object|null>} The entitlement, or null if there is none.
+ */
+const findEntitlement = async (user, plans) => {
+  await ensureEntitlements(user);
+
+  const entitlements = user.entitlements
+    .filter((item) => plans.includes(item.plan) && isEntitlementActive(item))
+    .sort((a, b) => getAccessUntil(b) - getAccessUntil(a));
+
+  return entitlements[0] || null;
+};
+
+/**
+ * Plans the user has access to, read from the stored entitlements.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<{isPT: boolean, isPTA: boolean, plans: Array<string>}>}
+ */
+const getSubscriptionStatus = async (user) => {
+  await ensureEntitlements(user);
+
+  const plans = getActivePlans(user);
+
+  return {
+    isPT: plans.includes(SUBSCRIPTION_PLANS.PT),
+    isPTA: plans.includes(SUBSCRIPTION_PLANS.PTA),
+    plans,
+  };
+};
+
+module.exports = {
+  parseWooDate,
+  toEntitlements,
+  syncSubscription,
+  removeSubscription,
+  refreshEntitlements,
+  ENTITLEMENT_GRACE_DAYS,
+  getAccessUntil,
+  isEntitlementActive,
+  isInGrace,
+  getActivePlans,
+  findEntitlement,
+  getSubscriptionStatus,
+};
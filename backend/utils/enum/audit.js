@@ -0,0 +1,18 @@
+const AUDIT_ACTIONS = {
+  UserEmailChanged: "user.email_changed",
+  UserDeleted: "user.deleted",
+  UserRestored: "user.restored",
+  UserErased: "user.erased",
+};
+
+// Who made a change: a CMS or app user, WooCommerce, or a background job.
+const AUDIT_ACTOR_TYPES = {
+  User: "user",
+  WooCommerce: "woocommerce",
+  System: "system",
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ACTOR_TYPES,
+};
@@ -0,0 +1,24 @@
+const TOKEN_ISSUER = "bbb-backend";
+
+const TOKEN_TYPES = {
+  Access: "access",
+};
+
+const SESSION_KINDS = {
+  Admin: "admin",
+  Device: "device",
+};
+
+const AUTH_ERROR_CODES = {
+  TokenExpired: "token_expired",
+  TokenRevoked: "token_revoked",
+  InvalidToken: "invalid_token",
+  AccountDeleted: "account_deleted",
+};
+
+module.exports = {
+  TOKEN_ISSUER,
+  TOKEN_TYPES,
+  SESSION_KINDS,
+  AUTH_ERROR_CODES,
+};
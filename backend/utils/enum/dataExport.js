@@ -0,0 +1,11 @@
+const DATA_EXPORT_STATUS = {
+  Pending: "pending",
+  Processing: "processing",
+  Ready: "ready",
+  Failed: "failed",
+  Expired: "expired",
+};
+
+module.exports = {
+  DATA_EXPORT_STATUS,
+};
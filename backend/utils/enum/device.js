@@ -0,0 +1,9 @@
+const DEVICE_PLATFORMS = {
+  Ios: "ios",
+  Android: "android",
+  Web: "web",
+};
+
+module.exports = {
+  DEVICE_PLATFORMS,
+};
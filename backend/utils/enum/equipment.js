@@ -0,0 +1,18 @@
+// Where a member trains; each has its own equipment setup.
+const EQUIPMENT_LOCATIONS = {
+  Home: "home",
+  Gym: "gym",
+};
+
+// Starting points for a setup. Bodyweight has no equipment and a full gym has
+// all of it; the CMS tags the equipment of the other presets.
+const EQUIPMENT_PRESETS = {
+  Bodyweight: "bodyweight",
+  HomeMinimal: "home_minimal",
+  FullGym: "full_gym",
+};
+
+module.exports = {
+  EQUIPMENT_LOCATIONS,
+  EQUIPMENT_PRESETS,
+};
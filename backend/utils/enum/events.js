@@ -0,0 +1,7 @@
+const APP_EVENTS = {
+  StreakMilestone: "streak.milestone",
+};
+
+module.exports = {
+  APP_EVENTS,
+};
@@ -0,0 +1,11 @@
+// Content a user can save as a favorite (see utils/favorites.js).
+const FAVORITE_TYPES = {
+  Exercise: "exercise",
+  Warmup: "warmup",
+  Restday: "restday",
+  WorkoutDay: "workout_day",
+};
+
+module.exports = {
+  FAVORITE_TYPES,
+};
@@ -0,0 +1,24 @@
+const PUSH_PROVIDERS = {
+  Fcm: "fcm",
+  Stub: "stub",
+};
+
+// Tells the app which screen a notification opens (the "type" data key).
+const NOTIFICATION_TYPES = {
+  ProgramUpdated: "program_updated",
+  WorkoutDay: "workout_day",
+};
+
+const CAMPAIGN_STATUS = {
+  Draft: "draft",
+  Scheduled: "scheduled",
+  Sending: "sending",
+  Sent: "sent",
+  Failed: "failed",
+};
+
+module.exports = {
+  PUSH_PROVIDERS,
+  NOTIFICATION_TYPES,
+  CAMPAIGN_STATUS,
+};
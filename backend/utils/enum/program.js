@@ -0,0 +1,17 @@
+const PROGRAM_VERSION_STATUS = {
+  Draft: "draft",
+  Scheduled: "scheduled",
+  Published: "published",
+  Archived: "archived",
+};
+
+// How far a member's exercise swap applies (see utils/substitutions.js).
+const SUBSTITUTION_SCOPES = {
+  Day: "day",
+  Program: "program",
+};
+
+module.exports = {
+  PROGRAM_VERSION_STATUS,
+  SUBSTITUTION_SCOPES,
+};
@@ -0,0 +1,81 @@
+const ROLES = {
+  Member: "member",
+  Coach: "coach",
+  ContentEditor: "content_editor",
+  Admin: "admin",
+};
+
+const RESOURCES = {
+  Users: "users",
+  Workouts: "workouts",
+  Exercises: "exercises",
+  Warmups: "warmups",
+  Restdays: "restdays",
+  Equipments: "equipments",
+  Categories: "categories",
+  Staffs: "staffs",
+  Challenges: "challenges",
+  Screens: "screens",
+  Tutorials: "tutorials",
+  Uploads: "uploads",
+  Webhooks: "webhooks",
+  Notifications: "notifications",
+};
+
+const ACTIONS = {
+  Read: "read",
+  Create: "create",
+  Update: "update",
+  Delete: "delete",
+  Customize: "customize",
+};
+
+const ALL = "*";
+
+const CONTENT_RESOURCES = [
+  RESOURCES.Exercises,
+  RESOURCES.Warmups,
+  RESOURCES.Restdays,
+  RESOURCES.Equipments,
+  RESOURCES.Categories,
+  RESOURCES.Staffs,
+  RESOURCES.Challenges,
+  RESOURCES.Screens,
+  RESOURCES.Tutorials,
+];
+
+const contentPermissions = (actions) =>
+  CONTENT_RESOURCES.reduce((permissions, resource) => {
+    permissions[resource] = actions;
+    return permissions;
+  }, {});
+
+// Permissions granted to each role, keyed by resource then action.
+const ROLE_PERMISSIONS = {
+  [ROLES.Member]: {},
+  [ROLES.Coach]: {
+    ...contentPermissions([ACTIONS.Read]),
+    [RESOURCES.Users]: [ACTIONS.Read],
+    [RESOURCES.Workouts]: [ACTIONS.Read, ACTIONS.Customize],
+  },
+  [ROLES.ContentEditor]: {
+    ...contentPermissions([ALL]),
+    [RESOURCES.Workouts]: [ACTIONS.Read, ACTIONS.Update],
+    [RESOURCES.Uploads]: [ACTIONS.Create],
+  },
+  [ROLES.Admin]: {
+    [ALL]: [ALL],
+  },
+};
+
+// Roles that are allowed to sign in to the CMS.
+const CMS_ROLES = [ROLES.Coach, ROLES.ContentEditor, ROLES.Admin];
+
+module.exports = {
+  ROLES,
+  RESOURCES,
+  ACTIONS,
+  ALL,
+  ROLE_PERMISSIONS,
+  CMS_ROLES,
+};
@@ -0,0 +1,21 @@
+// Content types of the catalog search (see utils/search.js).
+const SEARCH_TYPES = {
+  Exercise: "exercise",
+  Warmup: "warmup",
+  Restday: "restday",
+  Equipment: "equipment",
+  Category: "category",
+  Staff: "staff",
+  Challenge: "challenge",
+};
+
+// How a result matched: through the text index, or as a near spelling.
+const SEARCH_MATCH_TYPES = {
+  Text: "text",
+  Fuzzy: "fuzzy",
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  SEARCH_MATCH_TYPES,
+};
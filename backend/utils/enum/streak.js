@@ -0,0 +1,24 @@
+const STREAK_MILESTONES = [3, 7, 14, 30, 60, 100, 200, 365];
+
+const STREAK_DAY_STATUS = {
+  Completed: "completed",
+  Rest: "rest",
+  Grace: "grace",
+  Missed: "missed",
+  Today: "today",
+  Upcoming: "upcoming",
+};
+
+// Values of dayHistory.state, sent by the app to day_done, that mark the day
+// as done. Older app versions send no state at all.
+const DAY_COMPLETED_STATES = {
+  Completed: "completed",
+  Complete: "complete",
+  Done: "done",
+};
+
+module.exports = {
+  STREAK_MILESTONES,
+  STREAK_DAY_STATUS,
+  DAY_COMPLETED_STATES,
+};
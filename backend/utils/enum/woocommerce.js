@@ -16,7 +16,30 @@ const SUBSCRIPTION_STATUS = {
   Suspended: 'suspended',
 }
 
+// Plans a subscription product grants, matched by PT_SUBSCRIPTION_ID and
+// PTA_SUBSCRIPTION_ID.
+const SUBSCRIPTION_PLANS = {
+  PT: "PT",
+  PTA: "PTA",
+};
+
+// Lifecycle of a delivery in the webhook inbox (see utils/webhooks.js).
+const WEBHOOK_EVENT_STATUS = {
+  Pending: "pending",
+  Processing: "processing",
+  Processed: "processed",
+  Failed: "failed",
+  DeadLetter: "dead_letter",
+};
+
+const ENTITLEMENT_ERROR_CODES = {
+  SubscriptionRequired: "subscription_required",
+};
+
 module.exports = {
   WOOCOMMERCE_WEBHOOK_EVENTS,
   SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_PLANS,
+  ENTITLEMENT_ERROR_CODES,
+  WEBHOOK_EVENT_STATUS,
 };
@@ -0,0 +1,15 @@
+const WORKOUT_SESSION_STATUS = {
+  InProgress: "in_progress",
+  Finished: "finished",
+  Abandoned: "abandoned",
+};
+
+const SET_STATUS = {
+  Completed: "completed",
+  Skipped: "skipped",
+};
+
+module.exports = {
+  WORKOUT_SESSION_STATUS,
+  SET_STATUS,
+};
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const Equipment = require("../models/equipmentModel");
+const Exercise = require("../models/exerciseModel");
+const { rankSubstitutesMany } = require("./substitutions");
+const { httpError } = require("./httpError");
+const { EQUIPMENT_LOCATIONS, EQUIPMENT_PRESETS } = require("./enum/equipment");
+
+// Alternatives suggested for an exercise the member lacks equipment for.
+const MAX_ALTERNATIVES = 3;
+
+const sameIds = (ids) => [...new Set(ids.map(String))];
+
+/**
+ * Equipment a preset stands for.
+ *
+ * @param {string} preset - EQUIPMENT_PRESETS value.
+ * @returns {Promise<Array<ObjectId>>} Equipment ids.
+ */
+const expandPreset = async (preset) => {
+  if (preset === EQUIPMENT_PRESETS.Bodyweight) return [];
+
+  const equipments = await Equipment.find(preset === EQUIPMENT_PRESETS.FullGym ? {} : { presets: preset }).select("_id");
+  return equipments.map((equipment) => equipment._id);
+};
+
+/**
+ * Saves the setup of a location, from a preset, a list of equipment, or a
+ * preset plus extra equipment. The first setup saved becomes the active one.
+ *
+ * @param {Object} user - The user document.
+ * @param {string} location - EQUIPMENT_LOCATIONS value.
+ * @param {Object} setup - preset and equipments (ids).
+ * @returns {Promise<Object>} The saved setup.
+ * @throws {Error} With status 400 when the setup is not valid.
+ */
+const saveSetup = async (user, location, { preset, equipments = [] }) => {
+  if (!Object.values(EQUIPMENT_LOCATIONS).includes(location)) {
+    throw httpError(400, `location must be one of: ${Object.values(EQUIPMENT_LOCATIONS).join(", ")}`);
+  }
+
+  if (preset && !Object.values(EQUIPMENT_PRESETS).includes(preset)) {
+    throw httpError(400, `preset must be one of: ${Object.values(EQUIPMENT_PRESETS).join(", ")}`);
+  }
+
+  if (!Array.isArray(equipments) || equipments.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw httpError(400, "equipments must be a list of equipment ids");
+  }
+
+  const known = await Equipment.find({ _id: { $in: equipments } }).select("_id");
+  if (known.length !== sameIds(equipments).length) {
+    throw httpError(400, "equipments contains equipment that does not exist");
+  }
+
+  const ids = sameIds([...(preset ? await expandPreset(preset) : []), ...equipments]);
+  const setup = { location, preset, equipments: ids, updatedAt: new Date() };
+
+  user.equipmentSetups = [...user.equipmentSetups.filter((item) => item.location !== location), setup];
+  if (!user.activeEquipmentLocation) user.activeEquipmentLocation = location;
+  await user.save();
+
+  return user.equipmentSetups.find((item) => item.location === location);
+};
+
+const removeSetup = async (user, location) => {
+  const remaining = user.equipmentSetups.filter((item) => item.location !== location);
+  if (remaining.length === user.equipmentSetups.length) return false;
+
+  user.equipmentSetups = remaining;
+  if (user.activeEquipmentLocation === location) {
+    user.activeEquipmentLocation = remaining.length ? remaining[0].location : undefined;
+  }
+  await user.save();
+
+  return true;
+};
+
+const setActiveLocation = async (user, location) => {
+  if (!user.equipmentSetups.some((item) => item.location === location)) return false;
+
+  user.activeEquipmentLocation = location;
+  await user.save();
+
+  return true;
+};
+
+/**
+ * Equipment of the setup the member trains with now.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Array<ObjectId>|null} Equipment ids, or null without a setup.
+ */
+const getOwnedEquipments = (user) => {
+  const setup = (user.equipmentSetups || []).find((item) => item.location === user.activeEquipmentLocation);
+  return setup ? setup.equipments : null;
+};
+
+/**
+ * The setups of a member with their equipment, for the member and coaches.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<{activeLocation: string, setups: Array<Object>}>}
+ */
+const describeSetups = async (user) => {
+  const setups = user.equipmentSetups || [];
+  const equipments = await Equipment.find({ _id: { $in: setups.flatMap((setup) => setup.equipments) } })
+    .select("title thumbnail")
+    .sort({ title: 1 });
+
+  return {
+    activeLocation: user.activeEquipmentLocation,
+    setups: setups.map((setup) => {
+      const ids = new Set(setup.equipments.map(String));
+      return {
+        location: setup.location,
+        preset: setup.preset,
+        active: setup.location === user.activeEquipmentLocation,
+        updatedAt: setup.updatedAt,
+        equipments: equipments.filter((equipment) => ids.has(String(equipment._id))),
+      };
+    }),
+  };
+};
+
+/**
+ * Marks the exercises of a workout the member cannot do with their active
+ * setup, with the equipment they miss and alternatives they can do. Without
+ * a setup the workout is returned as is.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} workout - The Month or UpdatedMonth document.
+ * @returns {Promise<Object>} The workout, as a plain object.
+ */
+const annotateWorkout = async (user, workout) => {
+  const plain = workout.toJSON();
+  const owned = getOwnedEquipments(user);
+  if (!owned) return plain;
+
+  const ownedIds = new Set(owned.map(String));
+  const dayExercises = plain.weeks.flatMap((week) => week.days.flatMap((day) => day.exercises));
+  const exercises = await Exercise.find({
+    _id: { $in: sameIds(dayExercises.map((item) => item.exerciseId).filter(Boolean)) },
+  }).select("title categories usedEquipments relatedExercises");
+
+  const missingById = new Map(
+    exercises.map((exercise) => [
+      String(exercise._id),
+      exercise.usedEquipments.filter((id) => !ownedIds.has(String(id))),
+    ])
+  );
+
+  const substitutesById = await rankSubstitutesMany(
+    exercises.filter((item) => missingById.get(String(item._id)).length),
+    { ownedEquipments: owned }
+  );
+
+  const alternativesById = new Map(
+    [...substitutesById].map(([id, substitutes]) => [
+      id,
+      substitutes
+        .filter((substitute) => !substitute.missingEquipments.length)
+        .slice(0, MAX_ALTERNATIVES)
+        .map((substitute) => substitute.exercise),
+    ])
+  );
+
+  const equipments = await Equipment.find({ _id: { $in: [...missingById.values()].flat() } }).select("title");
+  const equipmentById = new Map(equipments.map((equipment) => [String(equipment._id), equipment]));
+
+  dayExercises.forEach((dayExercise) => {
+    const missing = (dayExercise.exerciseId && missingById.get(String(dayExercise.exerciseId))) || [];
+
+    dayExercise.canPerform = !missing.length;
+    if (missing.length) {
+      dayExercise.missingEquipments = missing.map((id) => equipmentById.get(String(id)) || { _id: id });
+      dayExercise.alternatives = alternativesById.get(String(dayExercise.exerciseId)) || [];
+    }
+  });
+
+  return plain;
+};
+
+module.exports = {
+  saveSetup,
+  removeSetup,
+  setActiveLocation,
+  getOwnedEquipments,
+  describeSetups,
+  annotateWorkout,
+};
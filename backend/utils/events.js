@@ -0,0 +1,9 @@
+const { EventEmitter } = require("events");
+
+// In-process bus for domain events (see utils/enum/events.js). Listeners must
+// not throw: emitters do not wait for them.
+const appEvents = new EventEmitter();
+
+module.exports = {
+  appEvents,
+};
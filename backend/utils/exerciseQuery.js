@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const Exercise = require("../models/exerciseModel");
+const { escapeRegex } = require("./regex");
+const { httpError } = require("./httpError");
+
+/**
+ * Ids from a query parameter, given as a comma separated list or repeated.
+ *
+ * @param {string|Array<string>} value - The parameter.
+ * @param {string} name - Its name, for the error message.
+ * @returns {Array<ObjectId>} The ids, empty when the parameter is missing.
+ * @throws {Error} With status 400 when an id is not valid.
+ */
+const parseIdList = (value, name) => {
+  if (value === undefined || value === "") return [];
+
+  const ids = (Array.isArray(value) ? value : String(value).split(","))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw httpError(400, `${name} contains an id that is not valid`);
+  }
+
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+// Exercises linked to an exercise, whichever side lists the other.
+const relatedCondition = async (exerciseId) => {
+  if (!mongoose.Types.ObjectId.isValid(exerciseId)) throw httpError(400, "relatedTo is not valid");
+
+  const exercise = await Exercise.findById(exerciseId).select("relatedExercises");
+  if (!exercise) throw httpError(400, "Exercise not found");
+
+  return {
+    _id: { $ne: exercise._id },
+    $or: [{ _id: { $in: exercise.relatedExercises } }, { relatedExercises: exercise._id }],
+  };
+};
+
+/**
+ * Builds the conditions of the exercise library search from query parameters.
+ * Categories match any of the ones given, and so do equipments; the two are
+ * kept apart so that the facets of one can ignore its own selection.
+ *
+ * @param {Object} query - search, categories, equipments, relatedTo, hasVideo.
+ * @returns {Promise<{base: Object, category: Object, equipment: Object}>}
+ * @throws {Error} With status 400 when a parameter is not valid.
+ */
+const buildExerciseConditions = async (query = {}) => {
+  const { search, relatedTo, hasVideo } = query;
+  const base = [];
+
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i");
+    base.push({ $or: [{ title: regex }, { description: regex }, { vimeoId: regex }] });
+  }
+
+  if (hasVideo === "true") {
+    base.push({ vimeoId: { $nin: [null, ""] } });
+  } else if (hasVideo === "false") {
+    base.push({ vimeoId: { $in: [null, ""] } });
+  } else if (hasVideo !== undefined) {
+    throw httpError(400, "hasVideo must be true or false");
+  }
+
+  if (relatedTo) {
+    base.push(await relatedCondition(relatedTo));
+  }
+
+  const categories = parseIdList(query.categories, "categories");
+  const equipments = parseIdList(query.equipments, "equipments");
+
+  return {
+    base: base.length ? { $and: base } : {},
+    category: categories.length ? { categories: { $in: categories } } : {},
+    equipment: equipments.length ? { usedEquipments: { $in: equipments } } : {},
+  };
+};
+
+/**
+ * Aggregation of the exercise library: one page of exercises, the total, and
+ * the number of matching exercises per category and per equipment.
+ *
+ * @param {Object} conditions - From buildExerciseConditions.
+ * @param {Object} options - sort, skip and limit.
+ * @returns {Array<Object>} The pipeline.
+ */
+const buildExercisePipeline = ({ base, category, equipment }, { sort, skip, limit }) => [
+  { $match: base },
+  {
+    $facet: {
+      exercises: [
+        { $match: { ...category, ...equipment } },
+        { $sort: sort },
+        { $skip: skip },
+        { $limit: limit },
+      ],
+      totalCount: [{ $match: { ...category, ...equipment } }, { $count: "total" }],
+      categoryCounts: [
+        { $match: equipment },
+        { $unwind: "$categories" },
+        { $group: { _id: "$categories", count: { $sum: 1 } } },
+      ],
+      equipmentCounts: [
+        { $match: category },
+        { $unwind: "$usedEquipments" },
+        { $group: { _id: "$usedEquipments", count: { $sum: 1 } } },
+      ],
+    },
+  },
+];
+
+// Adds the count of each facet to its option, 0 when nothing matches.
+const withCounts = (options, counts) => {
+  const countById = new Map(counts.map((item) => [String(item._id), item.count]));
+
+  return options.map((option) => ({
+    _id: option._id,
+    title: option.title,
+    count: countById.get(String(option._id)) || 0,
+  }));
+};
+
+module.exports = {
+  parseIdList,
+  buildExerciseConditions,
+  buildExercisePipeline,
+  withCounts,
+};
@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const User = require("../models/userModel");
+const Favorite = require("../models/favoriteModel");
+const Exercise = require("../models/exerciseModel");
+const Warmup = require("../models/warmupModel");
+const Restday = require("../models/restdayModel");
+const { httpError } = require("./httpError");
+const { FAVORITE_TYPES } = require("./enum/favorite");
+
+// Content types saved by id. Workout days are saved by their indexes instead.
+const FAVORITE_SOURCES = {
+  [FAVORITE_TYPES.Exercise]: { model: Exercise, name: "Exercise" },
+  [FAVORITE_TYPES.Warmup]: { model: Warmup, name: "Warmup" },
+  [FAVORITE_TYPES.Restday]: { model: Restday, name: "Rest day" },
+};
+
+const MAX_FAVORITES = 500;
+
+const DAY_FIELDS = ["monthIndex", "weekIndex", "dayIndex"];
+
+const getFavoriteKey = (type, { itemId, day }) =>
+  type === FAVORITE_TYPES.WorkoutDay
+    ? `${type}:${day.monthIndex}-${day.weekIndex}-${day.dayIndex}`
+    : `${type}:${itemId}`;
+
+/**
+ * Reads what a favorite points to from a request body or query.
+ *
+ * @param {Object} input - type, and itemId or monthIndex, weekIndex and dayIndex.
+ * @returns {{type: string, itemId: string, day: Object, key: string}}
+ * @throws {Error} With status 400 when it is not valid.
+ */
+const parseFavorite = (input = {}) => {
+  const { type, itemId } = input;
+
+  if (!Object.values(FAVORITE_TYPES).includes(type)) {
+    throw httpError(400, `type must be one of: ${Object.values(FAVORITE_TYPES).join(", ")}`);
+  }
+
+  if (type === FAVORITE_TYPES.WorkoutDay) {
+    const day = {};
+    for (const field of DAY_FIELDS) {
+      const value = Number(input[field]);
+      if (input[field] === undefined || input[field] === "" || !Number.isInteger(value) || value < 0) {
+        throw httpError(400, `${field} is required for a workout day`);
+      }
+      day[field] = value;
+    }
+    return { type, day, key: getFavoriteKey(type, { day }) };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    throw httpError(400, "itemId is not valid");
+  }
+
+  return { type, itemId: String(itemId), key: getFavoriteKey(type, { itemId }) };
+};
+
+const getNextPosition = async (userId) => {
+  const last = await Favorite.findOne({ user: userId }).sort({ position: -1 }).select("position");
+  return last ? last.position + 1 : 0;
+};
+
+// Moves the exercises saved in User.favorites, from before favorites had
+// their own collection, to the end of the list.
+const migrateLegacyFavorites = async (user) => {
+  if (!user.favorites || !user.favorites.length) return;
+
+  let position = await getNextPosition(user._id);
+  await Favorite.bulkWrite(
+    user.favorites.map((exerciseId) => ({
+      updateOne: {
+        filter: { user: user._id, key: getFavoriteKey(FAVORITE_TYPES.Exercise, { itemId: exerciseId }) },
+        update: {
+          $setOnInsert: {
+            type: FAVORITE_TYPES.Exercise,
+            item: exerciseId,
+            itemModel: Exercise.modelName,
+            position: position++,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  await User.updateOne({ _id: user._id }, { $set: { favorites: [] } });
+  user.favorites = [];
+};
+
+/**
+ * Saves a favorite at the end of the list of the user. Saving one that
+ * exists already returns it unchanged.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} favorite - From parseFavorite.
+ * @returns {Promise<Object>} The Favorite document.
+ * @throws {Error} With status 404 when the item does not exist, or 400 when
+ *   the user has MAX_FAVORITES already.
+ */
+const addFavorite = async (user, { type, itemId, day, key }) => {
+  await migrateLegacyFavorites(user);
+
+  const existing = await Favorite.findOne({ user: user._id, key });
+  if (existing) return existing;
+
+  const source = FAVORITE_SOURCES[type];
+  if (source && !(await source.model.exists({ _id: itemId }))) {
+    throw httpError(404, `${source.name} not found`);
+  }
+
+  if ((await Favorite.countDocuments({ user: user._id })) >= MAX_FAVORITES) {
+    throw httpError(400, `A user can have at most ${MAX_FAVORITES} favorites`);
+  }
+
+  try {
+    return await Favorite.create({
+      user: user._id,
+      type,
+      item: source ? itemId : undefined,
+      itemModel: source ? source.model.modelName : undefined,
+      day,
+      key,
+      position: await getNextPosition(user._id),
+    });
+  } catch (error) {
+    // Saved by a concurrent request.
+    if (error.code === 11000) return Favorite.findOne({ user: user._id, key });
+    throw error;
+  }
+};
+
+const removeFavorite = async (user, filter) => {
+  await migrateLegacyFavorites(user);
+
+  const result = await Favorite.deleteOne({ ...filter, user: user._id });
+  return result.deletedCount > 0;
+};
+
+/**
+ * One page of the favorites of a user, in their order, with the exercise,
+ * warmup or rest day populated. It is null when that content was deleted.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} options - type, page and perPage.
+ * @returns {Promise<{count: number, favorites: Array<Object>}>}
+ */
+const listFavorites = async (user, { type, page, perPage }) => {
+  await migrateLegacyFavorites(user);
+
+  const query = { user: user._id, ...(type && { type }) };
+  const [count, favorites] = await Promise.all([
+    Favorite.countDocuments(query),
+    Favorite.find(query)
+      .select("-user -key -itemModel")
+      .sort({ position: 1, _id: 1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate("item"),
+  ]);
+
+  return { count, favorites };
+};
+
+/**
+ * Puts the given favorites first, in the given order; the others keep their
+ * order after them.
+ *
+ * @param {Object} user - The user document.
+ * @param {Array<string>} ids - Favorite ids.
+ * @returns {Promise<Array<Object>>} All the favorites, in their new order.
+ */
+const reorderFavorites = async (user, ids) => {
+  await migrateLegacyFavorites(user);
+
+  const favorites = await Favorite.find({ user: user._id }).sort({ position: 1, _id: 1 });
+  const byId = new Map(favorites.map((favorite) => [String(favorite._id), favorite]));
+
+  const unknown = ids.filter((id) => !byId.has(String(id)));
+  if (unknown.length) {
+    throw httpError(400, `Favorites not found: ${unknown.join(", ")}`);
+  }
+
+  const first = [...new Set(ids.map(String))].map((id) => byId.get(id));
+  const ordered = [...first, ...favorites.filter((favorite) => !first.includes(favorite))];
+
+  await Favorite.bulkWrite(
+    ordered.map((favorite, position) => ({
+      updateOne: { filter: { _id: favorite._id }, update: { $set: { position } } },
+    }))
+  );
+
+  ordered.forEach((favorite, position) => {
+    favorite.position = position;
+  });
+  return ordered;
+};
+
+/**
+ * Adds isFavorited to content of the library, for the user viewing it.
+ *
+ * @param {Object} user - The user document.
+ * @param {string} type - FAVORITE_TYPES of the items.
+ * @param {Array<Object>} items - Documents or plain objects with an _id.
+ * @returns {Promise<Array<Object>>} Plain objects with isFavorited.
+ */
+const markFavorited = async (user, type, items) => {
+  const plain = items.map((item) => (item && item.toJSON ? item.toJSON() : item));
+  const ids = plain.filter(Boolean).map((item) => item._id);
+
+  const favorites = await Favorite.find({ user: user._id, type, item: { $in: ids } }).select("item");
+  const favorited = new Set(favorites.map((favorite) => String(favorite.item)));
+
+  // Saved before favorites had their own collection.
+  if (type === FAVORITE_TYPES.Exercise) {
+    (user.favorites || []).forEach((id) => favorited.add(String(id)));
+  }
+
+  return plain.map((item) => item && { ...item, isFavorited: favorited.has(String(item._id)) });
+};
+
+// Used when a user is erased.
+const deleteUserFavorites = (userId) => Favorite.deleteMany({ user: userId });
+
+module.exports = {
+  MAX_FAVORITES,
+  parseFavorite,
+  addFavorite,
+  removeFavorite,
+  listFavorites,
+  reorderFavorites,
+  markFavorited,
+  deleteUserFavorites,
+};
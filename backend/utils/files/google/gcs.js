@@ -100,6 +100,55 @@ const deleteImage = async (url) => {
   }
 };
 
+/**
+ * Uploads a private file to Google Cloud Storage (GCS).
+ *
+ * @param {Buffer} buffer - The file content.
+ * @param {string} gcsFilePath - Path of the file in the bucket.
+ * @param {string} contentType - MIME type of the file.
+ * @throws {Error} If there's an issue during upload.
+ * @returns {Promise<string>} The path of the file.
+ */
+const uploadPrivateFile = async (buffer, gcsFilePath, contentType) => {
+  await storage
+    .bucket(bucketName)
+    .file(gcsFilePath)
+    .save(buffer, { contentType, resumable: false });
+
+  return gcsFilePath;
+};
+
+/**
+ * Generates a URL that gives read access to a private file for a while.
+ *
+ * @param {string} gcsFilePath - Path of the file in the bucket.
+ * @param {number} expiresInMs - How long the URL stays valid.
+ * @param {string} [filename] - Name the file is downloaded as.
+ * @returns {Promise<string>} The signed URL.
+ */
+const getSignedFileUrl = async (gcsFilePath, expiresInMs, filename) => {
+  const [url] = await storage
+    .bucket(bucketName)
+    .file(gcsFilePath)
+    .getSignedUrl({
+      action: "read",
+      expires: Date.now() + expiresInMs,
+      responseDisposition: filename ? `attachment; filename="${filename}"` : undefined,
+    });
+
+  return url;
+};
+
+/**
+ * Deletes a file from Google Cloud Storage (GCS) by its path. A file that is
+ * already gone is not an error.
+ *
+ * @param {string} gcsFilePath - Path of the file in the bucket.
+ */
+const deleteFile = async (gcsFilePath) => {
+  await storage.bucket(bucketName).file(gcsFilePath).delete({ ignoreNotFound: true });
+};
+
 /**
  * Extracts the filename from a given URL.
  *
@@ -115,4 +164,8 @@ const getImageFilenameFromUrl = (url) => {
 module.exports = {
   uploadImage,
   deleteImage,
+  getImageFilenameFromUrl,
+  uploadPrivateFile,
+  getSignedFileUrl,
+  deleteFile,
 };
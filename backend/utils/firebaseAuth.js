@@ -0,0 +1,44 @@
+const getFirebaseAdmin = require("../config/firebaseAdmin");
+const { generateRandomPassword } = require("./randomPasswordGenerator");
+
+// Runs an operation on the Firebase account of an email. Users created
+// before Firebase Auth was used have no account, which is not an error.
+const withAuthAccount = async (email, operation) => {
+  const auth = getFirebaseAdmin().auth();
+
+  try {
+    const account = await auth.getUserByEmail(email);
+    await operation(auth, account);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      console.warn(`No Firebase account for ${email}`);
+      return;
+    }
+    throw error;
+  }
+};
+
+// Firebase Auth holds the password of the user, so its email has to follow.
+const updateAuthEmail = (oldEmail, newEmail) =>
+  withAuthAccount(oldEmail, (auth, account) => auth.updateUser(account.uid, { email: newEmail }));
+
+const deleteAuthAccount = (email) =>
+  withAuthAccount(email, (auth, account) => auth.deleteUser(account.uid));
+
+// The user chooses a password through the reset email. Returns false when
+// the email already has an account.
+const createAuthAccount = async (email) => {
+  try {
+    await getFirebaseAdmin().auth().createUser({ email, password: generateRandomPassword() });
+    return true;
+  } catch (error) {
+    if (error.code === "auth/email-already-exists") return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  createAuthAccount,
+  updateAuthEmail,
+  deleteAuthAccount,
+};
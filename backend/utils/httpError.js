@@ -0,0 +1,13 @@
+/**
+ * An error carrying the HTTP status to answer with. Thrown from helpers used
+ * by controllers; errorHandler (middleware/errorMiddleware.js) sends it.
+ *
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The message sent to the client.
+ * @returns {Error}
+ */
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+module.exports = {
+  httpError,
+};
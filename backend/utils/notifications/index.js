@@ -0,0 +1,121 @@
+const User = require("../../models/userModel");
+const Notification = require("../../models/notificationModel");
+const { getDeviceTokens, pruneInvalidTokens } = require("../devices");
+const { PUSH_PROVIDERS, NOTIFICATION_TYPES } = require("../enum/notification");
+
+const PROVIDERS = {
+  [PUSH_PROVIDERS.Fcm]: require("./providers/fcm"),
+  [PUSH_PROVIDERS.Stub]: require("./providers/stub"),
+};
+
+// Chosen with PUSH_PROVIDER, FCM by default.
+const getProvider = () => {
+  const provider = PROVIDERS[process.env.PUSH_PROVIDER || PUSH_PROVIDERS.Fcm];
+  if (!provider) throw new Error(`Unknown push provider: ${process.env.PUSH_PROVIDER}`);
+  return provider;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+};
+
+// Push data values must be strings.
+const toDataPayload = (data = {}) =>
+  Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)])
+  );
+
+/**
+ * Data that opens a workout day in the app. Indexes are the ones of the
+ * program (see WorkoutSession), weekIndex and dayIndex are optional.
+ *
+ * @param {Object} day - monthIndex, weekIndex and dayIndex.
+ * @returns {Object} The data payload.
+ */
+const workoutDayLink = ({ monthIndex, weekIndex, dayIndex }) => ({
+  type: NOTIFICATION_TYPES.WorkoutDay,
+  monthIndex,
+  weekIndex,
+  dayIndex,
+});
+
+/**
+ * Sends a notification to push tokens, in batches of the size the provider
+ * accepts. Tokens the provider rejects as invalid are removed from users.
+ *
+ * @param {Array<string>} tokens - Push tokens.
+ * @param {Object} message - title, body, and data for deep links.
+ * @returns {Promise<{sent: number, failed: number, invalid: number}>}
+ */
+const sendNotification = async (tokens, { title, body, data }) => {
+  const provider = getProvider();
+  const message = { title, body, data: toDataPayload(data) };
+  const summary = { sent: 0, failed: 0, invalid: 0 };
+  const invalidTokens = [];
+
+  for (const batch of chunk([...new Set(tokens)], provider.batchSize)) {
+    let results;
+    try {
+      results = await provider.send(batch, message);
+    } catch (error) {
+      console.error(`Failed to send notifications with ${provider.name}:`, error);
+      summary.failed += batch.length;
+      continue;
+    }
+
+    results.forEach((result) => {
+      if (result.success) {
+        summary.sent += 1;
+        return;
+      }
+      summary.failed += 1;
+      if (result.invalidToken) invalidTokens.push(result.token);
+    });
+  }
+
+  summary.invalid = invalidTokens.length;
+  await pruneInvalidTokens(invalidTokens);
+
+  return summary;
+};
+
+const INBOX_BATCH_SIZE = 1000;
+
+// Writes the notification to the inbox of each user, whether or not a device receives it.
+const addToInbox = async (users, { title, body, data }) => {
+  for (const batch of chunk(users, INBOX_BATCH_SIZE)) {
+    await Notification.insertMany(
+      batch.map((user) => ({ user: user._id, type: data && data.type, title, body, data })),
+      { ordered: false }
+    );
+  }
+};
+
+/**
+ * Sends a notification to every device of the users matching a filter, and
+ * adds it to their inbox.
+ *
+ * @param {Object} filter - Mongo filter on users; deleted users are left out.
+ * @param {Object} message - title, body and data.
+ * @returns {Promise<{users: number, tokens: number, sent: number, failed: number, invalid: number}>}
+ */
+const sendToUsers = async (filter, message) => {
+  const users = await User.find({ $and: [filter, { deletedAt: null }] }, "devices.token deviceTokens");
+  await addToInbox(users, message);
+
+  const tokens = getDeviceTokens(users);
+  const summary = await sendNotification(tokens, message);
+
+  return { users: users.length, tokens: tokens.length, ...summary };
+};
+
+module.exports = {
+  workoutDayLink,
+  sendToUsers,
+};
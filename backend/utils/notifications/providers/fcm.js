@@ -0,0 +1,40 @@
+const getFirebaseAdmin = require("../../../config/firebaseAdmin");
+
+// Errors for which FCM will never accept the token again.
+const INVALID_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+/**
+ * Firebase Cloud Messaging through the HTTP v1 API of firebase-admin,
+ * authenticated with the service account.
+ */
+module.exports = {
+  name: "fcm",
+  batchSize: 500,
+
+  /**
+   * Sends a message to at most batchSize tokens.
+   *
+   * @param {Array<string>} tokens - Push tokens.
+   * @param {Object} message - title, body and data (string values).
+   * @returns {Promise<Array<Object>>} One result per token, in order: token, success, error, invalidToken.
+   */
+  send: async (tokens, { title, body, data }) => {
+    const response = await getFirebaseAdmin().messaging().sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      data,
+      android: { priority: "high" },
+      apns: { payload: { aps: { sound: "default" } } },
+    });
+
+    return response.responses.map((result, index) => ({
+      token: tokens[index],
+      success: result.success,
+      error: result.error && result.error.code,
+      invalidToken: !!result.error && INVALID_TOKEN_ERRORS.includes(result.error.code),
+    }));
+  },
+};
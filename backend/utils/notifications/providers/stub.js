@@ -0,0 +1,28 @@
+// Keeps the last messages in memory instead of sending them, for local
+// development. Tokens starting with "invalid" are reported as invalid, to try
+// the token pruning.
+const MAX_SENT = 100;
+const sent = [];
+
+module.exports = {
+  name: "stub",
+  batchSize: 100,
+  sent,
+
+  send: async (tokens, message) => {
+    sent.push({ tokens, message, sentAt: new Date() });
+    if (sent.length > MAX_SENT) {
+      sent.splice(0, sent.length - MAX_SENT);
+    }
+
+    return tokens.map((token) => {
+      const invalidToken = token.startsWith("invalid");
+      return {
+        token,
+        success: !invalidToken,
+        error: invalidToken ? "invalid-token" : undefined,
+        invalidToken,
+      };
+    });
+  },
+};
@@ -0,0 +1,54 @@
+const { ROLES, ALL, ROLE_PERMISSIONS, CMS_ROLES } = require("./enum/role");
+
+/**
+ * Resolves the stored role of a user to one of the named roles.
+ * Accounts created before named roles existed stored a number
+ * (0 for members, 1 and above for CMS administrators).
+ *
+ * @param {string|number} role - The role as stored on the user document.
+ * @returns {string} One of the values of ROLES.
+ */
+const normalizeRole = (role) => {
+  if (Object.values(ROLES).includes(role)) {
+    return role;
+  }
+
+  const legacyRole = Number(role);
+  if (!Number.isNaN(legacyRole) && legacyRole >= 1) {
+    return ROLES.Admin;
+  }
+
+  return ROLES.Member;
+};
+
+/**
+ * Checks whether a role grants an action on a resource.
+ *
+ * @param {string|number} role - The role of the user.
+ * @param {string} resource - One of the values of RESOURCES.
+ * @param {string} action - One of the values of ACTIONS.
+ * @returns {boolean} True if the action is allowed.
+ */
+const hasPermission = (role, resource, action) => {
+  const permissions = ROLE_PERMISSIONS[normalizeRole(role)] || {};
+  const actions = [
+    ...(permissions[ALL] || []),
+    ...(permissions[resource] || []),
+  ];
+
+  return actions.includes(ALL) || actions.includes(action);
+};
+
+/**
+ * Checks whether a role may sign in to the CMS.
+ *
+ * @param {string|number} role - The role of the user.
+ * @returns {boolean} True if the role is a CMS role.
+ */
+const canAccessCms = (role) => CMS_ROLES.includes(normalizeRole(role));
+
+module.exports = {
+  normalizeRole,
+  hasPermission,
+  canAccessCms,
+};
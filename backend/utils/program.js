@@ -0,0 +1,184 @@
+const EXERCISE_FIELDS = ["exerciseId", "sets", "reps", "weight", "rest"];
+
+const toPlain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : doc);
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const sameValue = (a, b) => {
+  if (a == null && b == null) return true;
+  if (a == null || b == null) return false;
+  return a.toString() === b.toString();
+};
+
+/**
+ * Pairs the items of two lists, by _id first and by position for the rest.
+ * Cloned plans keep the _id of the master weeks, days and exercises, while
+ * plans built by hand in the CMS only line up by position.
+ *
+ * @param {Array} masterItems - Items of the master program.
+ * @param {Array} customItems - Items of the user's plan.
+ * @returns {Array<{master: Object, custom: Object, index: number}>}
+ */
+const pairItems = (masterItems = [], customItems = []) => {
+  const pairs = [];
+  const unmatchedCustom = [...customItems];
+  const unmatchedMaster = [];
+
+  masterItems.forEach((master, index) => {
+    const matchIndex = unmatchedCustom.findIndex((custom) => sameId(custom._id, master._id));
+    if (matchIndex === -1) {
+      unmatchedMaster.push({ master, index });
+    } else {
+      pairs.push({ master, custom: unmatchedCustom.splice(matchIndex, 1)[0], index });
+    }
+  });
+
+  unmatchedMaster.forEach(({ master, index }) => {
+    const custom = unmatchedCustom.find((item) => customItems.indexOf(item) === index);
+    if (custom) {
+      unmatchedCustom.splice(unmatchedCustom.indexOf(custom), 1);
+    }
+    pairs.push({ master, custom, index });
+  });
+
+  unmatchedCustom.forEach((custom) => {
+    pairs.push({ custom, index: customItems.indexOf(custom) });
+  });
+
+  return pairs.sort((a, b) => a.index - b.index);
+};
+
+const diffFields = (master, custom, fields) =>
+  fields
+    .filter((field) => !sameValue(master[field], custom[field]))
+    .map((field) => ({ field, master: master[field], custom: custom[field] }));
+
+const diffExercises = (masterExercises, customExercises) =>
+  pairItems(masterExercises, customExercises)
+    .map(({ master, custom, index }) => {
+      if (!custom) {
+        return { index: index + 1, status: "removed", exerciseId: master.exerciseId, name: master.name };
+      }
+      if (!master) {
+        return { index: index + 1, status: "added", exerciseId: custom.exerciseId, name: custom.name };
+      }
+      const changes = diffFields(master, custom, EXERCISE_FIELDS);
+      return changes.length
+        ? { index: index + 1, status: "changed", exerciseId: custom.exerciseId, name: custom.name, changes }
+        : null;
+    })
+    .filter(Boolean);
+
+const diffDays = (masterDays, customDays) =>
+  pairItems(masterDays, customDays)
+    .map(({ master, custom, index }) => {
+      if (!custom) {
+        return { index: index + 1, dayId: master._id, title: master.title, status: "removed" };
+      }
+      if (!master) {
+        return { index: index + 1, dayId: custom._id, title: custom.title, status: "added" };
+      }
+      const exercises = diffExercises(master.exercises, custom.exercises);
+      return exercises.length
+        ? { index: index + 1, dayId: custom._id, title: custom.title, status: "changed", exercises }
+        : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Computes how a user's plan differs from the master month it was based on.
+ * Only weeks, days and exercises that differ are listed.
+ *
+ * @param {Object} masterMonth - The Month document.
+ * @param {Object} customMonth - The UpdatedMonth document.
+ * @returns {Object} The structured diff.
+ */
+const diffMonths = (masterMonth, customMonth) => {
+  const master = toPlain(masterMonth) || { weeks: [] };
+  const custom = toPlain(customMonth);
+
+  const weeks = pairItems(master.weeks, custom.weeks)
+    .map(({ master: masterWeek, custom: customWeek, index }) => {
+      if (!customWeek) {
+        return { weekIndex: index + 1, status: "removed" };
+      }
+      if (!masterWeek) {
+        return { weekIndex: index + 1, status: "added" };
+      }
+      const changes = diffFields(masterWeek, customWeek, ["restdayId"]);
+      const days = diffDays(masterWeek.days, customWeek.days);
+      return changes.length || days.length
+        ? { weekIndex: index + 1, status: "changed", changes, days }
+        : null;
+    })
+    .filter(Boolean);
+
+  return {
+    monthId: custom._id,
+    sourceMonthId: master._id,
+    index: custom.index,
+    title: custom.title,
+    identical: weeks.length === 0,
+    weeks,
+  };
+};
+
+/**
+ * Builds an UpdatedMonth document for a user out of a master month.
+ * Weeks, days and exercises keep their _id so that the plan can later be
+ * diffed against, and reset to, the master.
+ *
+ * @param {Object} masterMonth - The Month document.
+ * @param {number} uid - The WooCommerce id of the user.
+ * @returns {Object} The document to insert.
+ */
+const cloneMonthForUser = (masterMonth, uid) => {
+  const { _id, __v, ...month } = toPlain(masterMonth);
+
+  return {
+    ...month,
+    uid,
+    sourceMonthId: _id,
+  };
+};
+
+/**
+ * Replaces weeks of a user's plan with their master version.
+ *
+ * @param {Object} customMonth - The UpdatedMonth document, modified in place.
+ * @param {Object} masterMonth - The Month document.
+ * @param {Array<number>} [weekIndexes] - 1-based week indexes; all weeks when omitted.
+ * @returns {Array<number>} The indexes of the weeks that were reset.
+ */
+const resetWeeks = (customMonth, masterMonth, weekIndexes) => {
+  const masterWeeks = toPlain(masterMonth).weeks || [];
+  const weeks = [...customMonth.weeks];
+  const reset = [];
+
+  masterWeeks.forEach((masterWeek, index) => {
+    if (weekIndexes && !weekIndexes.includes(index + 1)) return;
+
+    // A week past the end of the plan brings the master weeks before it
+    // along, so that it keeps its position.
+    for (let gap = weeks.length; gap < index; gap += 1) {
+      weeks[gap] = masterWeeks[gap];
+      reset.push(gap + 1);
+    }
+
+    weeks[index] = masterWeek;
+    reset.push(index + 1);
+  });
+
+  if (!weekIndexes) {
+    weeks.length = masterWeeks.length;
+  }
+
+  customMonth.weeks = weeks;
+  return reset;
+};
+
+module.exports = {
+  diffMonths,
+  cloneMonthForUser,
+  resetWeeks,
+};
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const Month = require("../models/workoutModel");
+const ProgramVersion = require("../models/programVersionModel");
+const { PROGRAM_VERSION_STATUS } = require("./enum/program");
+const { sendToUsers } = require("./notifications");
+const { NOTIFICATION_TYPES } = require("./enum/notification");
+
+/**
+ * Gives every month an _id and renumbers months and weeks by position,
+ * the way updateWorkouts used to do after its bulkWrite.
+ *
+ * @param {Array<Object>} months - Months as sent by the CMS.
+ * @returns {Array<Object>} The normalized months.
+ */
+const normalizeMonths = (months) =>
+  months.map((month, index) => {
+    const { _id, ...rest } = month;
+
+    return {
+      ...rest,
+      _id: _id && mongoose.Types.ObjectId.isValid(_id) ? _id : new mongoose.Types.ObjectId(),
+      index: index + 1,
+      weeks: (rest.weeks || []).map((week, weekIndex) => ({ ...week, index: weekIndex + 1 })),
+    };
+  });
+
+const nextVersionNumber = async () => {
+  const latest = await ProgramVersion.findOne({}).sort({ version: -1 }).select("version");
+  return latest ? latest.version + 1 : 1;
+};
+
+const createVersion = async (months, { user, note, status, basedOn } = {}) =>
+  ProgramVersion.create({
+    version: await nextVersionNumber(),
+    status: status || PROGRAM_VERSION_STATUS.Draft,
+    note,
+    basedOn,
+    months: normalizeMonths(months),
+    createdBy: user && user._id,
+  });
+
+/**
+ * Saves the months being edited in the CMS into the open draft,
+ * creating the draft if there is none.
+ *
+ * @param {Array<Object>} months - Months as sent by the CMS.
+ * @param {Object} options - The user saving the draft and an optional note.
+ * @returns {Promise<Object>} The draft version.
+ */
+const saveDraft = async (months, { user, note } = {}) => {
+  const draft = await ProgramVersion.findOne({ status: PROGRAM_VERSION_STATUS.Draft });
+  if (!draft) {
+    return createVersion(months, { user, note });
+  }
+
+  draft.months = normalizeMonths(months);
+  if (note !== undefined) draft.note = note;
+  return draft.save();
+};
+
+// Snapshots the live months before the first publish so that they can be
+// rolled back to.
+const ensureBaseline = async () => {
+  const hasHistory = await ProgramVersion.exists({
+    status: { $in: [PROGRAM_VERSION_STATUS.Published, PROGRAM_VERSION_STATUS.Archived] },
+  });
+  if (hasHistory) return;
+
+  const months = await Month.find({}).sort({ index: 1 }).lean();
+  if (!months.length) return;
+
+  await createVersion(months, {
+    note: "Months as they were before versioning",
+    status: PROGRAM_VERSION_STATUS.Archived,
+  });
+};
+
+// Makes the Month collection match the months of a version exactly.
+const applyMonths = async (months) => {
+  const operations = months.map((month) => ({
+    replaceOne: {
+      filter: { _id: month._id },
+      replacement: month,
+      upsert: true,
+    },
+  }));
+
+  operations.push({
+    deleteMany: {
+      filter: { _id: { $nin: months.map((month) => month._id) } },
+    },
+  });
+
+  await Month.bulkWrite(operations);
+};
+
+const notifyProgramUpdated = (version) =>
+  sendToUsers({}, {
+    title: 'Notification',
+    body: 'Workouts list was updated',
+    data: { type: NOTIFICATION_TYPES.ProgramUpdated, version: version.version },
+  });
+
+/**
+ * Makes a version the live program. The previously published version is archived.
+ *
+ * @param {Object} version - The ProgramVersion document.
+ * @param {Object} [user] - The user publishing, if not the scheduler.
+ * @returns {Promise<Object>} The published version.
+ */
+const publishVersion = async (version, user) => {
+  await ensureBaseline();
+  await applyMonths(version.toObject().months);
+
+  await ProgramVersion.updateMany(
+    { status: PROGRAM_VERSION_STATUS.Published, _id: { $ne: version._id } },
+    { status: PROGRAM_VERSION_STATUS.Archived }
+  );
+
+  version.status = PROGRAM_VERSION_STATUS.Published;
+  version.publishedAt = new Date();
+  version.publishedBy = user && user._id;
+  await version.save();
+
+  notifyProgramUpdated(version)
+    .catch((error) => console.error("Failed to notify program update:", error));
+
+  return version;
+};
+
+const scheduleVersion = async (version, publishAt) => {
+  version.status = PROGRAM_VERSION_STATUS.Scheduled;
+  version.publishAt = publishAt;
+  return version.save();
+};
+
+/**
+ * Publishes a copy of an earlier version, so history is never rewritten.
+ *
+ * @param {Object} version - The ProgramVersion to roll back to.
+ * @param {Object} user - The user rolling back.
+ * @returns {Promise<Object>} The new published version.
+ */
+const rollbackToVersion = async (version, user) => {
+  const copy = await createVersion(version.toObject().months, {
+    user,
+    note: `Rollback to version ${version.version}`,
+    status: PROGRAM_VERSION_STATUS.Scheduled,
+    basedOn: version._id,
+  });
+
+  return publishVersion(copy, user);
+};
+
+// Run by the scheduler.
+const publishDueVersions = async () => {
+  const versions = await ProgramVersion.find({
+    status: PROGRAM_VERSION_STATUS.Scheduled,
+    publishAt: { $lte: new Date() },
+  }).sort({ publishAt: 1 });
+
+  for (const version of versions) {
+    await publishVersion(version);
+  }
+};
+
+module.exports = {
+  createVersion,
+  saveDraft,
+  publishVersion,
+  scheduleVersion,
+  rollbackToVersion,
+  publishDueVersions,
+};
@@ -0,0 +1,12 @@
+/**
+ * Escapes the characters of a text that have a meaning in a regular
+ * expression, so that user input can be searched for literally.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = {
+  escapeRegex,
+};
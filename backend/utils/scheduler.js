@@ -0,0 +1,30 @@
+const cron = require("node-cron");
+const { publishDueVersions } = require("./programVersion");
+const { processPendingWebhooks } = require("./webhooks");
+const { purgeDeletedUsers } = require("./userLifecycle");
+const { processPendingExports, expireExports } = require("./dataExport");
+const { pruneStaleDevices } = require("./devices");
+const { sendDueCampaigns } = require("./campaigns");
+
+const runJob = (name, job) => async () => {
+  try {
+    await job();
+  } catch (error) {
+    console.error(`Scheduled job "${name}" failed:`, error);
+  }
+};
+
+// Registers the background jobs of the API. Called once from server.js.
+const startScheduler = () => {
+  cron.schedule("* * * * *", runJob("publish program versions", publishDueVersions));
+  cron.schedule("* * * * *", runJob("process webhooks", processPendingWebhooks));
+  cron.schedule("0 * * * *", runJob("erase deleted users", purgeDeletedUsers));
+  cron.schedule("* * * * *", runJob("generate data exports", processPendingExports));
+  cron.schedule("30 * * * *", runJob("expire data exports", expireExports));
+  cron.schedule("0 4 * * *", runJob("prune stale devices", pruneStaleDevices));
+  cron.schedule("* * * * *", runJob("send scheduled campaigns", sendDueCampaigns));
+};
+
+module.exports = {
+  startScheduler,
+};
@@ -0,0 +1,265 @@
+const Exercise = require("../models/exerciseModel");
+const Warmup = require("../models/warmupModel");
+const Restday = require("../models/restdayModel");
+const Equipment = require("../models/equipmentModel");
+const Category = require("../models/categoryModel");
+const Staff = require("../models/staffModel");
+const Challenge = require("../models/challengeModel");
+const { canAccessCms } = require("./permissions");
+const { findEntitlement } = require("./entitlements");
+const { SEARCH_TYPES, SEARCH_MATCH_TYPES } = require("./enum/search");
+const { SUBSCRIPTION_PLANS } = require("./enum/woocommerce");
+
+// Plans that give access to the exercises and warmups, as on their routes.
+const CONTENT_PLANS = [SUBSCRIPTION_PLANS.PT, SUBSCRIPTION_PLANS.PTA];
+
+// Searched fields of each content type, in the order snippets are taken
+// from. Each model has a text index named "search" on the same fields.
+// Types with plans are only searched for users entitled to one of them.
+const SEARCH_SOURCES = {
+  [SEARCH_TYPES.Exercise]: {
+    model: Exercise,
+    fields: ["title", "description", "guide"],
+    image: "thumbnail",
+    plans: CONTENT_PLANS,
+  },
+  [SEARCH_TYPES.Warmup]: { model: Warmup, fields: ["title", "description"], plans: CONTENT_PLANS },
+  [SEARCH_TYPES.Restday]: { model: Restday, fields: ["title", "description"] },
+  [SEARCH_TYPES.Equipment]: { model: Equipment, fields: ["title", "description"], image: "thumbnail" },
+  [SEARCH_TYPES.Category]: { model: Category, fields: ["title"], image: "thumbnail" },
+  [SEARCH_TYPES.Staff]: { model: Staff, fields: ["title", "bio"], image: "photo" },
+  [SEARCH_TYPES.Challenge]: { model: Challenge, fields: ["title", "description"], image: "photo" },
+};
+
+// Terms shorter than this must be spelled right.
+const MIN_FUZZY_TERM_LENGTH = 4;
+
+// A fuzzy result is scored by the share of the terms found in its title and
+// the share of its title words found in the query, averaged.
+const MIN_FUZZY_SCORE = 0.5;
+
+// The catalog is small enough for its titles to be compared in memory. They
+// are read again once they are older than this.
+const TITLE_CACHE_MS = 5 * 60 * 1000;
+
+const titleCache = new Map();
+
+const SNIPPET_LENGTH = 120;
+const SNIPPET_LEAD = 30;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const toTerms = (text) => [...new Set((String(text).toLowerCase().match(WORD_PATTERN) || []))];
+
+const allowedTypos = (term) => {
+  if (term.length < MIN_FUZZY_TERM_LENGTH) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+// Levenshtein distance, giving up once it is over max.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Whether a word of the content matches a search term: the same word, a word
+ * it starts, another form of it ("squats", "squatting"), or a near spelling.
+ *
+ * @param {string} term - The term, lower case.
+ * @param {string} word - The word, lower case.
+ * @returns {boolean}
+ */
+const termMatchesWord = (term, word) => {
+  if (word.startsWith(term)) return true;
+  if (word.length >= MIN_FUZZY_TERM_LENGTH && term.startsWith(word)) return true;
+
+  const typos = allowedTypos(term);
+  return (
+    typos > 0 &&
+    (editDistance(term, word, typos) <= typos || editDistance(term, word.slice(0, term.length), typos) <= typos)
+  );
+};
+
+// Positions of the words of a text that match one of the terms.
+const findMatches = (text, terms) =>
+  [...text.matchAll(WORD_PATTERN)]
+    .filter((match) => terms.some((term) => termMatchesWord(term, match[0].toLowerCase())))
+    .map((match) => [match.index, match.index + match[0].length]);
+
+/**
+ * Snippet of the first field that contains one of the terms, with the
+ * positions of the matching words in the snippet so the client can mark them.
+ *
+ * @param {Object} doc - The content.
+ * @param {Array<string>} fields - Fields to look in, in order.
+ * @param {Array<string>} terms - Search terms, lower case.
+ * @returns {{field: string, snippet: string, ranges: Array<Array<number>>}|null}
+ */
+const buildHighlight = (doc, fields, terms) => {
+  for (const field of fields) {
+    const text = doc[field];
+    if (!text) continue;
+
+    const matches = findMatches(text, terms);
+    if (!matches.length) continue;
+
+    const start = Math.max(0, matches[0][0] - SNIPPET_LEAD);
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? "…" : "";
+
+    return {
+      field,
+      snippet: `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`,
+      ranges: matches
+        .filter(([, matchEnd]) => matchEnd <= end)
+        .map(([matchStart, matchEnd]) => [matchStart - start + prefix.length, matchEnd - start + prefix.length]),
+    };
+  }
+
+  return null;
+};
+
+const getProjection = ({ fields, image }) =>
+  Object.fromEntries([...fields, ...(image ? [image] : [])].map((field) => [field, 1]));
+
+const toResult = (type, source, doc, terms, match, score) => ({
+  type,
+  id: doc._id,
+  title: doc.title,
+  image: source.image ? doc[source.image] : undefined,
+  match,
+  score,
+  highlight: buildHighlight(doc, source.fields, terms),
+});
+
+const byScore = (a, b) => b.score - a.score;
+
+const textSearch = async (type, query, terms, limit) => {
+  const source = SEARCH_SOURCES[type];
+  const docs = await source.model
+    .find({ $text: { $search: query } }, { ...getProjection(source), score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .lean();
+
+  return docs.map((doc) => toResult(type, source, doc, terms, SEARCH_MATCH_TYPES.Text, doc.score));
+};
+
+// _id and title of every document of a type, sorted by title.
+const getTitles = async (type) => {
+  const cached = titleCache.get(type);
+  if (cached && Date.now() - cached.loadedAt < TITLE_CACHE_MS) return cached.titles;
+
+  const docs = await SEARCH_SOURCES[type].model.find({}, { title: 1 }).sort({ title: 1 }).lean();
+  const titles = docs.map((doc) => ({ _id: doc._id, words: toTerms(doc.title || "") }));
+  titleCache.set(type, { loadedAt: Date.now(), titles });
+
+  return titles;
+};
+
+// Titles that are near spellings of the terms, for what the text index
+// misses ("glut brige" for "Glute Bridge").
+const fuzzySearch = async (type, terms, excludedIds, limit) => {
+  const source = SEARCH_SOURCES[type];
+  const excluded = new Set(excludedIds.map(String));
+
+  const matches = (await getTitles(type))
+    .filter(({ _id, words }) => words.length && !excluded.has(String(_id)))
+    .map(({ _id, words }) => {
+      const matchedTerms = terms.filter((term) => words.some((word) => termMatchesWord(term, word)));
+      const matchedWords = words.filter((word) => terms.some((term) => termMatchesWord(term, word)));
+      return { _id, score: (matchedTerms.length / terms.length + matchedWords.length / words.length) / 2 };
+    })
+    .filter(({ score }) => score >= MIN_FUZZY_SCORE)
+    .sort(byScore)
+    .slice(0, limit);
+
+  const docs = await source.model.find({ _id: { $in: matches.map(({ _id }) => _id) } }, getProjection(source)).lean();
+  const docById = new Map(docs.map((doc) => [String(doc._id), doc]));
+
+  return matches
+    .filter(({ _id }) => docById.has(String(_id)))
+    .map(({ _id, score }) => toResult(type, source, docById.get(String(_id)), terms, SEARCH_MATCH_TYPES.Fuzzy, score));
+};
+
+/**
+ * Searches every content type of the catalog at once. Results of the text
+ * indexes come first, ranked by relevance; when there are fewer than limit,
+ * titles spelled close to the query fill the rest.
+ *
+ * @param {string} query - What the user typed.
+ * @param {Object} options - types to search (all by default) and limit.
+ * @returns {Promise<Array<Object>>} Results with type, id, title, image,
+ *   match, score and highlight.
+ */
+const searchCatalog = async (query, { types = Object.values(SEARCH_TYPES), limit = 20 } = {}) => {
+  const terms = toTerms(query);
+  if (!terms.length) return [];
+
+  const textResults = (await Promise.all(types.map((type) => textSearch(type, query, terms, limit))))
+    .flat()
+    .sort(byScore)
+    .slice(0, limit);
+
+  if (textResults.length >= limit || !terms.some((term) => allowedTypos(term) > 0)) {
+    return textResults;
+  }
+
+  const fuzzyResults = (
+    await Promise.all(
+      types.map((type) =>
+        fuzzySearch(
+          type,
+          terms,
+          textResults.filter((result) => result.type === type).map((result) => result.id),
+          limit - textResults.length
+        )
+      )
+    )
+  )
+    .flat()
+    .sort(byScore);
+
+  return [...textResults, ...fuzzyResults].slice(0, limit);
+};
+
+/**
+ * The types of a search the user may see: those with plans are dropped
+ * unless the user is entitled to one of them or is staff.
+ *
+ * @param {Object} user - The user document.
+ * @param {Array<string>} types - SEARCH_TYPES values.
+ * @returns {Promise<Array<string>>}
+ */
+const getSearchableTypes = async (user, types) => {
+  if (canAccessCms(user.role)) return types;
+
+  const searchable = [];
+  for (const type of types) {
+    const { plans } = SEARCH_SOURCES[type];
+    if (!plans || (await findEntitlement(user, plans))) searchable.push(type);
+  }
+
+  return searchable;
+};
+
+module.exports = {
+  SEARCH_SOURCES,
+  getSearchableTypes,
+  termMatchesWord,
+  buildHighlight,
+  searchCatalog,
+};
@@ -0,0 +1,237 @@
+const Month = require("../models/workoutModel");
+const User = require("../models/userModel");
+const WorkoutSession = require("../models/workoutSessionModel");
+const StreakMilestone = require("../models/streakMilestoneModel");
+const { getEstDayKey } = require("./date");
+const { appEvents } = require("./events");
+const { APP_EVENTS } = require("./enum/events");
+const { STREAK_MILESTONES, STREAK_DAY_STATUS, DAY_COMPLETED_STATES } = require("./enum/streak");
+const { WORKOUT_SESSION_STATUS } = require("./enum/workoutSession");
+
+const readNumber = (value, fallback) =>
+  value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+// How many missed days per calendar week a running streak survives, on top of
+// the rest days of the program.
+const STREAK_POLICY = {
+  graceDaysPerWeek: readNumber(process.env.STREAK_GRACE_DAYS_PER_WEEK, 1),
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (dayKey, days) =>
+  new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (fromKey, toKey) =>
+  Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+
+// Monday of the week of a day.
+const weekOf = (dayKey) => {
+  const weekday = (new Date(`${dayKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(dayKey, -weekday);
+};
+
+const isCompletedDayState = (state) =>
+  !state || Object.values(DAY_COMPLETED_STATES).includes(String(state).trim().toLowerCase());
+
+/**
+ * Days, in EST, on which the user finished a workout: finished workout
+ * sessions, plus days marked done through the older day_done endpoint.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<Set<string>>} Day keys ("YYYY-MM-DD").
+ */
+const getActiveDays = async (user) => {
+  const sessions = await WorkoutSession.find({
+    user: user._id,
+    status: WORKOUT_SESSION_STATUS.Finished,
+  }).select("finishedAt");
+
+  const days = new Set(sessions.map((session) => getEstDayKey(session.finishedAt)));
+
+  (user.dayHistory || []).forEach((entry) => {
+    if (isCompletedDayState(entry.state)) {
+      days.add(getEstDayKey(entry.completedAt || entry._id.getTimestamp()));
+    }
+  });
+
+  return days;
+};
+
+/**
+ * Builds a lookup from a day to the program week it falls in. A week with a
+ * rest day routine (restdayId) allows one rest day for every day of the week
+ * that has no workout.
+ *
+ * @returns {Promise<Function>} (dayKey) => {id, allowance} or null.
+ */
+const getRestDayLookup = async () => {
+  const months = await Month.find({ startDate: { $ne: null } }).select("startDate endDate weeks.restdayId weeks.days._id");
+
+  return (dayKey) => {
+    for (const month of months) {
+      const startKey = getEstDayKey(month.startDate);
+      if (dayKey < startKey || (month.endDate && dayKey > getEstDayKey(month.endDate))) continue;
+
+      const weekIndex = Math.floor(daysBetween(startKey, dayKey) / 7);
+      const week = month.weeks[weekIndex];
+      if (!week) continue;
+
+      return {
+        id: `${month._id}:${weekIndex}`,
+        allowance: week.restdayId ? Math.max(0, 7 - week.days.length) : 0,
+      };
+    }
+    return null;
+  };
+};
+
+/**
+ * Walks every day from the first workout until today and works out the
+ * streaks. Today never breaks a streak, since it is not over yet.
+ *
+ * @param {Set<string>} activeDays - Days with a finished workout.
+ * @param {Function} getRestWeek - Lookup built by getRestDayLookup.
+ * @param {string} today - Today's day key.
+ * @param {Object} [policy] - Grace policy, STREAK_POLICY by default.
+ * @returns {Object} current, longest, streakStart, lastActiveDate and the status of each day.
+ */
+const computeStreak = (activeDays, getRestWeek, today, policy = STREAK_POLICY) => {
+  const days = new Map();
+  const restUsed = {};
+  const graceUsed = {};
+  let current = 0;
+  let longest = 0;
+  let streakStart = null;
+  let lastActiveDate = null;
+
+  const sortedDays = [...activeDays].sort();
+  if (!sortedDays.length) {
+    return { current, longest, streakStart, lastActiveDate, days };
+  }
+
+  for (let day = sortedDays[0]; day <= today; day = addDays(day, 1)) {
+    if (activeDays.has(day)) {
+      if (current === 0) streakStart = day;
+      current += 1;
+      longest = Math.max(longest, current);
+      lastActiveDate = day;
+      days.set(day, STREAK_DAY_STATUS.Completed);
+      continue;
+    }
+
+    if (day === today) {
+      days.set(day, STREAK_DAY_STATUS.Today);
+      continue;
+    }
+
+    const restWeek = getRestWeek(day);
+    if (restWeek && (restUsed[restWeek.id] || 0) < restWeek.allowance) {
+      restUsed[restWeek.id] = (restUsed[restWeek.id] || 0) + 1;
+      days.set(day, STREAK_DAY_STATUS.Rest);
+      continue;
+    }
+
+    const week = weekOf(day);
+    if (current > 0 && (graceUsed[week] || 0) < policy.graceDaysPerWeek) {
+      graceUsed[week] = (graceUsed[week] || 0) + 1;
+      days.set(day, STREAK_DAY_STATUS.Grace);
+      continue;
+    }
+
+    current = 0;
+    streakStart = null;
+    days.set(day, STREAK_DAY_STATUS.Missed);
+  }
+
+  return { current, longest, streakStart, lastActiveDate, days };
+};
+
+const getStreak = async (user) => {
+  const [activeDays, getRestWeek] = await Promise.all([getActiveDays(user), getRestDayLookup()]);
+  return computeStreak(activeDays, getRestWeek, getEstDayKey());
+};
+
+// Records the milestones reached by the running streak and announces new ones
+// on the app event bus.
+const recordMilestones = async (user, streak) => {
+  const reached = STREAK_MILESTONES.filter((days) => days <= streak.current);
+
+  for (const days of reached) {
+    try {
+      const milestone = await StreakMilestone.create({
+        user: user._id,
+        days,
+        streakStart: streak.streakStart,
+        reachedOn: addDays(streak.streakStart, days - 1),
+      });
+      appEvents.emit(APP_EVENTS.StreakMilestone, { user, milestone });
+    } catch (error) {
+      // Already recorded for this streak.
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+/**
+ * Recomputes the streak of a user, stores it on the user and records milestones.
+ * Called where a workout is finished, and by reads once a day (isStreakStale).
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<Object>} The computed streak.
+ */
+const refreshStreak = async (user) => {
+  const streak = await getStreak(user);
+
+  const stored = user.streak || {};
+  user.streak = {
+    current: streak.current,
+    longest: Math.max(streak.longest, stored.longest || 0),
+    lastActiveDate: streak.lastActiveDate,
+    updatedAt: new Date(),
+  };
+  await User.updateOne({ _id: user._id }, { streak: user.streak });
+
+  if (streak.current > 0) {
+    await recordMilestones(user, streak);
+  }
+
+  return streak;
+};
+
+// The stored streak is only refreshed when a workout is finished, so a day
+// missed since then is not counted yet.
+const isStreakStale = (user) =>
+  !user.streak || !user.streak.updatedAt || getEstDayKey(user.streak.updatedAt) !== getEstDayKey();
+
+/**
+ * Status of every day between two dates, for the streak calendar.
+ *
+ * @param {Object} streak - Result of getStreak.
+ * @param {string} from - First day key.
+ * @param {string} to - Last day key.
+ * @returns {Array<{date: string, status: string}>}
+ */
+const getCalendar = (streak, from, to) => {
+  const today = getEstDayKey();
+  const calendar = [];
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    let status = streak.days.get(day);
+    if (!status) {
+      status = day > today ? STREAK_DAY_STATUS.Upcoming : STREAK_DAY_STATUS.Missed;
+    }
+    calendar.push({ date: day, status });
+  }
+
+  return calendar;
+};
+
+module.exports = {
+  STREAK_POLICY,
+  computeStreak,
+  getStreak,
+  refreshStreak,
+  isStreakStale,
+  getCalendar,
+};
@@ -0,0 +1,302 @@
+const mongoose = require("mongoose");
+const Month = require("../models/workoutModel");
+const UpdatedMonth = require("../models/updatedWorkoutModel");
+const Exercise = require("../models/exerciseModel");
+const Equipment = require("../models/equipmentModel");
+const { getEstTime } = require("./date");
+const { cloneMonthForUser } = require("./program");
+const { httpError } = require("./httpError");
+const { SUBSTITUTION_SCOPES } = require("./enum/program");
+
+// Points a substitute earns for each reason it fits. Equipment only counts
+// when the member said what they own.
+const SUBSTITUTE_WEIGHTS = {
+  related: 5,
+  sharedCategory: 2,
+  ownedEquipment: 3,
+  missingEquipment: -4,
+};
+
+const MAX_SUBSTITUTES = 10;
+
+const currentPeriod = () => {
+  const estNow = getEstTime();
+
+  return {
+    $and: [
+      { $or: [{ startDate: { $lte: estNow } }, { startDate: null }] },
+      { $or: [{ endDate: { $gte: estNow } }, { endDate: null }] },
+    ],
+  };
+};
+
+const swapExercise = (dayExercise, substitute) => {
+  if (!dayExercise.substitutedFrom) dayExercise.substitutedFrom = dayExercise.exerciseId;
+  dayExercise.exerciseId = substitute._id;
+  dayExercise.name = substitute.title;
+
+  // Swapping back to the exercise of the program undoes the substitution.
+  if (String(dayExercise.substitutedFrom) === String(substitute._id)) dayExercise.substitutedFrom = undefined;
+};
+
+// Applies the program-wide swaps of the member to a month that started after
+// they were made. The month the swap was made in was changed at the time.
+const applySubstitutionRules = (user, month) => {
+  const rules = (user.exerciseSubstitutions || []).filter(
+    (rule) => month.startDate && rule.createdAt < month.startDate
+  );
+  if (!rules.length) return month;
+
+  const ruleByExercise = new Map(rules.map((rule) => [String(rule.exerciseId), rule]));
+  month.weeks.forEach((week) => {
+    week.days.forEach((day) => {
+      day.exercises.forEach((item) => {
+        const rule = ruleByExercise.get(String(item.exerciseId));
+        if (rule) swapExercise(item, { _id: rule.substituteId, title: rule.name });
+      });
+    });
+  });
+
+  return month;
+};
+
+/**
+ * The month a member is following: their own plan when they have one for
+ * the current period, the master program otherwise, with the exercises they
+ * swapped for the rest of the program.
+ *
+ * @param {Object} user - The user document.
+ * @returns {Promise<Object|null>} The UpdatedMonth or Month document.
+ */
+const findCurrentPlan = async (user) => {
+  const customMonth = user.uid !== undefined && (await UpdatedMonth.findOne({ uid: user.uid, ...currentPeriod() }));
+  const month = customMonth || (await Month.findOne(currentPeriod()));
+  return month && applySubstitutionRules(user, month);
+};
+
+// The member's own plan for the current month, cloned from the master program
+// the first time they change it.
+const ensureCustomPlan = async (user) => {
+  if (user.uid === undefined) {
+    throw httpError(400, "Only members with a subscription account have their own plan");
+  }
+
+  const customMonth = await UpdatedMonth.findOne({ uid: user.uid, ...currentPeriod() });
+  if (customMonth) return applySubstitutionRules(user, customMonth);
+
+  const masterMonth = await Month.findOne(currentPeriod());
+  if (!masterMonth) throw httpError(404, "Workout not found");
+
+  return UpdatedMonth.create(applySubstitutionRules(user, cloneMonthForUser(masterMonth, user.uid)));
+};
+
+// Remembers a program-wide swap, keyed by the exercise of the program so
+// that swapping a substitute again replaces the rule.
+const saveSubstitutionRule = async (user, programExerciseId, substitute) => {
+  const rules = (user.exerciseSubstitutions || []).filter(
+    (rule) => String(rule.exerciseId) !== String(programExerciseId)
+  );
+
+  if (String(programExerciseId) !== String(substitute._id)) {
+    rules.push({
+      exerciseId: programExerciseId,
+      substituteId: substitute._id,
+      name: substitute.title,
+      createdAt: new Date(),
+    });
+  }
+
+  user.exerciseSubstitutions = rules;
+  await user.save();
+};
+
+/**
+ * Finds an exercise of a day in a month. Cloned plans keep the _id of the
+ * master days and exercises, so the same ids work on both.
+ *
+ * @param {Object} month - The Month or UpdatedMonth document.
+ * @param {string} dayId - _id of the day.
+ * @param {string} dayExerciseId - _id of the exercise entry in the day.
+ * @returns {{weekPosition: number, dayPosition: number, dayExercise: Object}|null}
+ */
+const findDayExercise = (month, dayId, dayExerciseId) => {
+  for (const [weekPosition, week] of month.weeks.entries()) {
+    const dayPosition = week.days.findIndex((day) => String(day._id) === String(dayId));
+    if (dayPosition === -1) continue;
+
+    const dayExercise = week.days[dayPosition].exercises.find((item) => String(item._id) === String(dayExerciseId));
+    return dayExercise ? { weekPosition, dayPosition, dayExercise } : null;
+  }
+
+  return null;
+};
+
+const sharedIds = (a = [], b = []) => {
+  const ids = new Set(b.map(String));
+  return a.filter((id) => ids.has(String(id)));
+};
+
+const SUBSTITUTE_FIELDS = "title thumbnail vimeoId categories usedEquipments relatedExercises";
+
+// Exercises related to an exercise, either way, or sharing a category with it.
+const candidateConditions = (exercise) => [
+  { _id: { $in: exercise.relatedExercises } },
+  { relatedExercises: exercise._id },
+  { categories: { $in: exercise.categories } },
+];
+
+// Scores the candidates that fit an exercise, best first, with the ids of the
+// equipment the member misses for each.
+const scoreCandidates = (exercise, candidates, owned, limit) => {
+  const related = new Set(exercise.relatedExercises.map(String));
+
+  return candidates
+    .filter((candidate) => String(candidate._id) !== String(exercise._id))
+    .map((candidate) => {
+      const reasons = [];
+      let score = 0;
+
+      if (related.has(String(candidate._id)) || candidate.relatedExercises.some((id) => String(id) === String(exercise._id))) {
+        reasons.push("related");
+        score += SUBSTITUTE_WEIGHTS.related;
+      }
+
+      const categories = sharedIds(candidate.categories, exercise.categories);
+      if (categories.length) {
+        reasons.push("shared_categories");
+        score += categories.length * SUBSTITUTE_WEIGHTS.sharedCategory;
+      }
+
+      if (!reasons.length) return null;
+
+      const missing = owned ? candidate.usedEquipments.filter((id) => !owned.has(String(id))) : [];
+      if (owned && !missing.length) {
+        reasons.push("equipment_owned");
+        score += SUBSTITUTE_WEIGHTS.ownedEquipment;
+      }
+      score += missing.length * SUBSTITUTE_WEIGHTS.missingEquipment;
+
+      const { relatedExercises, ...fields } = candidate;
+      return { exercise: fields, score, reasons, missing };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || String(a.exercise.title).localeCompare(String(b.exercise.title)))
+    .slice(0, limit);
+};
+
+/**
+ * Exercises that can replace each of several exercises, best first, found
+ * with one query. Candidates are the exercises related to one, either way,
+ * and those sharing a category with it.
+ *
+ * @param {Array<Object>} exercises - The Exercise documents to replace.
+ * @param {Object} options - ownedEquipments (ids, or null when unknown) and limit.
+ * @returns {Promise<Map<string, Array<Object>>>} By exercise id: exercise,
+ *   score, reasons and the missingEquipments the member does not own.
+ */
+const rankSubstitutesMany = async (exercises, { ownedEquipments = null, limit = MAX_SUBSTITUTES } = {}) => {
+  if (!exercises.length) return new Map();
+
+  const candidates = await Exercise.find({ $or: exercises.flatMap(candidateConditions) })
+    .select(SUBSTITUTE_FIELDS)
+    .lean();
+
+  const owned = ownedEquipments && new Set(ownedEquipments.map(String));
+  const rankedById = new Map(
+    exercises.map((exercise) => [String(exercise._id), scoreCandidates(exercise, candidates, owned, limit)])
+  );
+
+  const missingIds = [...rankedById.values()].flat().flatMap((item) => item.missing);
+  const equipments = await Equipment.find({ _id: { $in: missingIds } }).select("title");
+  const equipmentById = new Map(equipments.map((equipment) => [String(equipment._id), equipment]));
+
+  rankedById.forEach((ranked, id) => {
+    rankedById.set(
+      id,
+      ranked.map(({ missing, ...item }) => ({
+        ...item,
+        missingEquipments: missing.map((equipmentId) => equipmentById.get(String(equipmentId)) || { _id: equipmentId }),
+      }))
+    );
+  });
+
+  return rankedById;
+};
+
+/**
+ * Exercises that can replace one, best first, see rankSubstitutesMany.
+ *
+ * @param {Object} exercise - The Exercise document to replace.
+ * @param {Object} options - ownedEquipments (ids, or null when unknown) and limit.
+ * @returns {Promise<Array<Object>>} exercise, score, reasons and the
+ *   missingEquipments the member does not own.
+ */
+const rankSubstitutes = async (exercise, options) =>
+  (await rankSubstitutesMany([exercise], options)).get(String(exercise._id));
+
+/**
+ * Swaps an exercise of the member's plan, for that day only or for that day
+ * and every later one of the program. Later months already in the member's
+ * plan are changed now; the others get the swap when they start.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} swap - dayId, dayExerciseId, substituteId and scope.
+ * @returns {Promise<{month: Object, swapped: number}>} The current month of
+ *   the plan and the number of exercises swapped.
+ * @throws {Error} With status 400 or 404 when the swap is not possible.
+ */
+const applySubstitution = async (user, { dayId, dayExerciseId, substituteId, scope }) => {
+  if (!mongoose.Types.ObjectId.isValid(substituteId)) throw httpError(400, "substituteId is not valid");
+
+  const substitute = await Exercise.findById(substituteId).select("title");
+  if (!substitute) throw httpError(404, "Exercise not found");
+
+  const plan = await ensureCustomPlan(user);
+  const found = findDayExercise(plan, dayId, dayExerciseId);
+  if (!found) throw httpError(404, "Exercise of the day not found");
+
+  const { weekPosition, dayPosition, dayExercise } = found;
+  const originalId = String(dayExercise.exerciseId);
+  if (originalId === String(substitute._id)) throw httpError(400, "The exercise is already in the plan");
+
+  if (scope !== SUBSTITUTION_SCOPES.Program) {
+    swapExercise(dayExercise, substitute);
+    await plan.save();
+    return { month: plan, swapped: 1 };
+  }
+
+  await saveSubstitutionRule(user, dayExercise.substitutedFrom || dayExercise.exerciseId, substitute);
+
+  const laterMonths = await UpdatedMonth.find({ uid: user.uid, index: { $gt: plan.index } }).sort({ index: 1 });
+  let swapped = 0;
+
+  for (const month of [plan, ...laterMonths]) {
+    let changed = false;
+
+    month.weeks.forEach((week, w) => {
+      week.days.forEach((day, d) => {
+        if (month === plan && (w < weekPosition || (w === weekPosition && d < dayPosition))) return;
+
+        day.exercises
+          .filter((item) => String(item.exerciseId) === originalId)
+          .forEach((item) => {
+            swapExercise(item, substitute);
+            changed = true;
+            swapped += 1;
+          });
+      });
+    });
+
+    if (changed) await month.save();
+  }
+
+  return { month: plan, swapped };
+};
+
+module.exports = {
+  findCurrentPlan,
+  findDayExercise,
+  rankSubstitutes,
+  rankSubstitutesMany,
+  applySubstitution,
+};
@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const AuthSession = require("../models/authSessionModel");
+const User = require("../models/userModel");
+const { TOKEN_ISSUER, TOKEN_TYPES, AUTH_ERROR_CODES } = require("./enum/auth");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token, "utf8").digest("hex");
+
+const isSameHash = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const isSessionActive = (session) =>
+  !!session && !session.revokedAt && session.expiresAt > new Date();
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Creates the access/refresh token pair for a session.
+ * The refresh token is "<sessionId>.<secret>"; only a hash of it is stored.
+ *
+ * @param {Object} user - The user document the tokens belong to.
+ * @param {Object} session - The AuthSession document; its refresh hash is updated, not saved.
+ * @returns {{accessToken: string, refreshToken: string, expiresIn: string}}
+ */
+const signTokens = (user, session) => {
+  const refreshToken = `${session._id}.${crypto.randomBytes(32).toString("hex")}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+
+  const accessToken = jwt.sign(
+    { type: TOKEN_TYPES.Access, sid: session._id.toString(), role: user.role },
+    process.env.JWT_SECRET,
+    { subject: user._id.toString(), issuer: TOKEN_ISSUER, expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Starts a new session for a user and issues its first token pair.
+ * A device only keeps one session: starting a new one revokes the previous.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} options - Session metadata: kind, userAgent, ip, deviceId,
+ *   deviceName, platform and the sourceToken the session was started with.
+ * @returns {Promise<Object>} The token pair and the session id.
+ */
+const issueTokens = async (user, { kind, userAgent, ip, deviceId, deviceName, platform, sourceToken } = {}) => {
+  if (deviceId) {
+    await AuthSession.updateMany(
+      { user: user._id, deviceId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  const session = new AuthSession({
+    user: user._id,
+    kind,
+    deviceId,
+    deviceName,
+    platform,
+    sourceTokenHash: sourceToken ? hashToken(sourceToken) : undefined,
+    userAgent,
+    ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  const tokens = signTokens(user, session);
+  await session.save();
+
+  return { ...tokens, sessionId: session._id };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ *
+ * @param {string} refreshToken - The refresh token previously issued.
+ * @throws {Error} If the token is unknown, expired or revoked.
+ * @returns {Promise<Object>} The new token pair with the session id, user id and kind.
+ */
+const refreshTokens = async (refreshToken) => {
+  const [sessionId] = (refreshToken || "").split(".");
+  const session = mongoose.Types.ObjectId.isValid(sessionId)
+    ? await AuthSession.findById(sessionId).populate("user")
+    : null;
+
+  if (!isSessionActive(session) || !session.user) {
+    throw authError("Invalid refresh token", AUTH_ERROR_CODES.TokenRevoked);
+  }
+
+  if (!isSameHash(session.refreshTokenHash, hashToken(refreshToken))) {
+    session.revokedAt = new Date();
+    await session.save();
+    throw authError("Invalid refresh token", AUTH_ERROR_CODES.TokenRevoked);
+  }
+
+  const tokens = signTokens(session.user, session);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { ...tokens, sessionId: session._id, userId: session.user._id, kind: session.kind };
+};
+
+/**
+ * Verifies a backend-issued access token and loads its session.
+ *
+ * @param {string} token - The access token.
+ * @throws {Error} If the token is invalid, expired or its session was revoked.
+ * @returns {Promise<{decodedToken: Object, session: Object}>}
+ */
+const verifyAccessToken = async (token) => {
+  const decodedToken = jwt.verify(token, process.env.JWT_SECRET, { issuer: TOKEN_ISSUER });
+  if (decodedToken.type !== TOKEN_TYPES.Access) {
+    throw authError("Invalid token", AUTH_ERROR_CODES.InvalidToken);
+  }
+
+  const session = await AuthSession.findById(decodedToken.sid);
+  if (!isSessionActive(session)) {
+    throw authError("Session has been revoked", AUTH_ERROR_CODES.TokenRevoked);
+  }
+
+  return { decodedToken, session };
+};
+
+/**
+ * Tells whether a token was issued by this backend rather than WooCommerce.
+ *
+ * @param {string} token - A JWT.
+ * @returns {boolean}
+ */
+const isBackendToken = (token) => {
+  const decodedToken = jwt.decode(token);
+  return !!decodedToken && decodedToken.iss === TOKEN_ISSUER;
+};
+
+/**
+ * Tells whether a WooCommerce token may no longer be used, either because the
+ * device session started with it was revoked or because every session of the
+ * user was revoked after the token was issued.
+ *
+ * @param {string} token - The WooCommerce JWT.
+ * @param {Object} decodedToken - The verified payload of the token.
+ * @param {Object} user - The user the token belongs to.
+ * @returns {Promise<boolean>}
+ */
+const isWooTokenRevoked = async (token, decodedToken, user) => {
+  if (user.tokensRevokedAt && decodedToken.iat * 1000 < user.tokensRevokedAt.getTime()) {
+    return true;
+  }
+
+  return !!(await AuthSession.exists({
+    sourceTokenHash: hashToken(token),
+    revokedAt: { $ne: null },
+  }));
+};
+
+const getActiveSessions = (userId) =>
+  AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select(["kind", "deviceId", "deviceName", "platform", "userAgent", "ip", "lastUsedAt", "createdAt"])
+    .sort({ lastUsedAt: -1 });
+
+const revokeSession = (sessionId, userId) =>
+  AuthSession.updateOne(
+    { _id: sessionId, ...(userId && { user: userId }), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+const revokeUserSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { tokensRevokedAt: new Date() });
+  return AuthSession.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  verifyAccessToken,
+  isBackendToken,
+  isWooTokenRevoked,
+  getActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+};
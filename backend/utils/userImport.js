@@ -0,0 +1,133 @@
+const { getAuth, sendPasswordResetEmail } = require("firebase/auth");
+const User = require("../models/userModel");
+const { ROLES } = require("./enum/role");
+const { createAuthAccount, deleteAuthAccount } = require("./firebaseAuth");
+const { escapeRegex } = require("./regex");
+
+const readNumber = (value, fallback) =>
+  value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+// Each row creates a Firebase account and sends an email within the request,
+// so imports are kept small enough to finish before it times out.
+const MAX_IMPORT_ROWS = readNumber(process.env.USER_IMPORT_MAX_ROWS, 200);
+
+const IMPORT_ROW_STATUS = {
+  Created: "created",
+  Valid: "valid",
+  Skipped: "skipped",
+  Failed: "failed",
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const toOptionalNumber = (value) =>
+  value === undefined || value === null || value === "" ? undefined : Number(value);
+
+// Returns the user fields of a row, or the reason it cannot be imported.
+const validateRow = (row) => {
+  const email = String(row.email || "").trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: "Invalid email" };
+  }
+
+  const uid = toOptionalNumber(row.uid);
+  if (uid !== undefined && !Number.isInteger(uid)) {
+    return { error: "uid must be a whole number" };
+  }
+
+  const level = toOptionalNumber(row.level);
+  if (level !== undefined && Number.isNaN(level)) {
+    return { error: "level must be a number" };
+  }
+
+  const firstName = row.firstName || undefined;
+
+  return {
+    fields: {
+      email,
+      uid,
+      firstName,
+      lastName: row.lastName || undefined,
+      name: row.name || firstName,
+      experience: row.experience || "",
+      level: level || 0,
+      note: row.note || "",
+      role: ROLES.Member,
+    },
+  };
+};
+
+// Creates the user in Firebase Auth and Mongo. A Firebase account created
+// here is removed again if the user cannot be saved.
+const createUser = async (fields) => {
+  const createdAccount = await createAuthAccount(fields.email);
+
+  try {
+    await User.create(fields);
+  } catch (error) {
+    if (createdAccount) await deleteAuthAccount(fields.email);
+    throw error;
+  }
+
+  await sendPasswordResetEmail(getAuth(), fields.email);
+};
+
+/**
+ * Imports members one row at a time and reports the outcome of each row.
+ * Existing emails are skipped. With dryRun nothing is created.
+ *
+ * @param {Array<Object>} rows - email, and optionally uid, firstName, lastName, name, experience, level, note.
+ * @param {Object} options - dryRun.
+ * @returns {Promise<{summary: Object, rows: Array<Object>}>}
+ */
+const importUsers = async (rows, { dryRun = false } = {}) => {
+  const seen = new Set();
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const result = { row: index + 1, email: row.email };
+    results.push(result);
+
+    const { fields, error } = validateRow(row);
+    if (error) {
+      Object.assign(result, { status: IMPORT_ROW_STATUS.Failed, message: error });
+      continue;
+    }
+
+    result.email = fields.email;
+    if (seen.has(fields.email)) {
+      Object.assign(result, { status: IMPORT_ROW_STATUS.Failed, message: "Duplicate email in the file" });
+      continue;
+    }
+    seen.add(fields.email);
+
+    if (await User.exists({ email: new RegExp(`^${escapeRegex(fields.email)}$`, "i") })) {
+      Object.assign(result, { status: IMPORT_ROW_STATUS.Skipped, message: "A user with that email already exists" });
+      continue;
+    }
+
+    if (dryRun) {
+      result.status = IMPORT_ROW_STATUS.Valid;
+      continue;
+    }
+
+    try {
+      await createUser(fields);
+      result.status = IMPORT_ROW_STATUS.Created;
+    } catch (error) {
+      Object.assign(result, { status: IMPORT_ROW_STATUS.Failed, message: error.message });
+    }
+  }
+
+  const summary = Object.values(IMPORT_ROW_STATUS).reduce((counts, status) => {
+    counts[status] = results.filter((result) => result.status === status).length;
+    return counts;
+  }, {});
+
+  return { summary, rows: results };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  importUsers,
+};
@@ -0,0 +1,196 @@
+const User = require("../models/userModel");
+const UpdatedMonth = require("../models/updatedWorkoutModel");
+const Challenge = require("../models/challengeModel");
+const AuthSession = require("../models/authSessionModel");
+const WorkoutSession = require("../models/workoutSessionModel");
+const StreakMilestone = require("../models/streakMilestoneModel");
+const WebhookEvent = require("../models/webhookEventModel");
+const AuditLog = require("../models/auditLogModel");
+const Notification = require("../models/notificationModel");
+const Campaign = require("../models/campaignModel");
+const { deleteFile, getImageFilenameFromUrl } = require("./files/google/gcs");
+const { deleteAuthAccount } = require("./firebaseAuth");
+const { deleteUserExports } = require("./dataExport");
+const { deleteUserFavorites } = require("./favorites");
+const { revokeUserSessions } = require("./token");
+const { recordAudit } = require("./audit");
+const { AUDIT_ACTIONS, AUDIT_ACTOR_TYPES } = require("./enum/audit");
+const { CAMPAIGN_STATUS } = require("./enum/notification");
+
+const readNumber = (value, fallback) =>
+  value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+// Days a deleted account can still be restored before it is erased.
+const USER_DELETION_GRACE_DAYS = readNumber(process.env.USER_DELETION_GRACE_DAYS, 30);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isStoredImage = (url) =>
+  !!url && !!process.env.GOOGLE_CLOUD_BUCKET_NAME && url.includes(process.env.GOOGLE_CLOUD_BUCKET_NAME);
+
+// Everything kept about a user outside the User document, erased in order.
+// Each step must be safe to run again if an erasure is interrupted.
+const ERASURE_STEPS = [
+  {
+    name: "custom plans",
+    run: (user) => user.uid !== undefined && UpdatedMonth.deleteMany({ uid: user.uid }),
+  },
+  {
+    name: "challenges",
+    run: (user) => Challenge.updateMany({ joinedUsers: user._id }, { $pull: { joinedUsers: user._id } }),
+  },
+  {
+    name: "workout sessions",
+    run: (user) => WorkoutSession.deleteMany({ user: user._id }),
+  },
+  {
+    name: "streak milestones",
+    run: (user) => StreakMilestone.deleteMany({ user: user._id }),
+  },
+  {
+    name: "favorites",
+    run: (user) => deleteUserFavorites(user._id),
+  },
+  {
+    name: "notifications",
+    run: (user) => Notification.deleteMany({ user: user._id }),
+  },
+  {
+    // A campaign with no userIds goes to its whole segment, so one that was
+    // only for this user is stopped rather than left with an empty list.
+    name: "campaign audiences",
+    run: async (user) => {
+      await Campaign.updateMany(
+        {
+          "segment.userIds": [user._id],
+          status: { $in: [CAMPAIGN_STATUS.Draft, CAMPAIGN_STATUS.Scheduled] },
+        },
+        { status: CAMPAIGN_STATUS.Failed, error: "Its only recipient was erased" }
+      );
+      await Campaign.updateMany({ "segment.userIds": user._id }, { $pull: { "segment.userIds": user._id } });
+    },
+  },
+  {
+    name: "auth sessions",
+    run: (user) => AuthSession.deleteMany({ user: user._id }),
+  },
+  {
+    name: "webhook payloads",
+    run: (user) => user.uid !== undefined && WebhookEvent.deleteMany({
+      $or: [{ "payload.id": user.uid, topic: /^customer\./ }, { "payload.customer_id": user.uid }],
+    }),
+  },
+  {
+    // The trail of what happened stays, without the personal data it recorded.
+    name: "audit log details",
+    run: (user) => AuditLog.updateMany({ target: user._id }, { $set: { changes: [] }, $unset: { metadata: 1 } }),
+  },
+  {
+    name: "data exports",
+    run: (user) => deleteUserExports(user._id),
+  },
+  {
+    name: "avatar",
+    // A resumed erasure finds the avatar already gone.
+    run: (user) => isStoredImage(user.detail.avatarUrl) && deleteFile(getImageFilenameFromUrl(user.detail.avatarUrl)),
+  },
+  {
+    name: "firebase account",
+    run: (user) => deleteAuthAccount(user.email),
+  },
+];
+
+/**
+ * Deletes an account: the user is signed out everywhere, hidden, and erased
+ * once the grace period is over unless restored before.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} options - actorType and actor (the user deleting, if any).
+ * @returns {Promise<Object>} The user.
+ */
+const softDeleteUser = async (user, { actorType, actor } = {}) => {
+  if (user.deletedAt) return user;
+
+  user.deletedAt = new Date();
+  user.purgeAt = new Date(user.deletedAt.getTime() + USER_DELETION_GRACE_DAYS * DAY_MS);
+  user.deviceTokens = [];
+  user.devices = [];
+  await user.save();
+  await revokeUserSessions(user._id);
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.UserDeleted,
+    actorType,
+    actor,
+    target: user,
+    metadata: { purgeAt: user.purgeAt },
+  });
+
+  return user;
+};
+
+const restoreUser = async (user, { actorType, actor } = {}) => {
+  if (!user.deletedAt) return user;
+
+  user.deletedAt = undefined;
+  user.purgeAt = undefined;
+  await user.save();
+
+  await recordAudit({
+    action: AUDIT_ACTIONS.UserRestored,
+    actorType,
+    actor,
+    target: user,
+  });
+
+  return user;
+};
+
+/**
+ * Erases a user and everything kept about them, in the database, Cloud
+ * Storage and Firebase Auth. Only an audit entry without personal data remains.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} options - actorType and actor (the user erasing, if any).
+ * @returns {Promise<void>}
+ */
+const eraseUser = async (user, { actorType, actor } = {}) => {
+  for (const step of ERASURE_STEPS) {
+    try {
+      await step.run(user);
+    } catch (error) {
+      throw new Error(`Failed to erase ${step.name} of user ${user._id}: ${error.message}`);
+    }
+  }
+
+  await User.deleteOne({ _id: user._id });
+
+  await AuditLog.create({
+    action: AUDIT_ACTIONS.UserErased,
+    actorType,
+    actor: actor && actor._id,
+    target: user._id,
+    metadata: { steps: ERASURE_STEPS.map((step) => step.name) },
+  });
+};
+
+// Run by the scheduler.
+const purgeDeletedUsers = async () => {
+  const users = await User.find({ deletedAt: { $ne: null }, purgeAt: { $lte: new Date() } });
+
+  for (const user of users) {
+    try {
+      await eraseUser(user, { actorType: AUDIT_ACTOR_TYPES.System });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+};
+
+module.exports = {
+  USER_DELETION_GRACE_DAYS,
+  softDeleteUser,
+  restoreUser,
+  eraseUser,
+  purgeDeletedUsers,
+};
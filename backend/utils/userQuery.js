@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const Challenge = require("../models/challengeModel");
+const { ROLES } = require("./enum/role");
+const { SUBSCRIPTION_STATUS } = require("./enum/woocommerce");
+const { httpError } = require("./httpError");
+const { escapeRegex } = require("./regex");
+
+// Statuses that can still give access, see utils/entitlements.js.
+const ACCESS_STATUSES = [
+  SUBSCRIPTION_STATUS.Active,
+  SUBSCRIPTION_STATUS.OnHold,
+  SUBSCRIPTION_STATUS.PendingCancel,
+];
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(400, `${name} must be a date`);
+  return date;
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === "" || Number.isNaN(number)) throw httpError(400, `${name} must be a number`);
+  return number;
+};
+
+// Range on a field from two query parameters, either of which may be missing.
+const rangeCondition = (query, field, [fromParam, toParam], parse) => {
+  const from = query[fromParam];
+  const to = query[toParam];
+  if (from === undefined && to === undefined) return null;
+
+  const range = {};
+  if (from !== undefined) range.$gte = parse(from, fromParam);
+  if (to !== undefined) range.$lte = parse(to, toParam);
+  return { [field]: range };
+};
+
+// Accounts created before named roles stored a number (see normalizeRole).
+// The role path runs normalizeRole on query values too, so numeric
+// comparisons on it would be cast to a role name; they go through $expr,
+// which Mongoose leaves as is.
+const legacyRole = { $convert: { input: "$role", to: "double", onError: null, onNull: null } };
+
+const roleCondition = (role) => {
+  switch (role) {
+    case ROLES.Admin:
+      return { $or: [{ role }, { $expr: { $and: [{ $isNumber: "$role" }, { $gte: [legacyRole, 1] }] } }] };
+    case ROLES.Member:
+      return {
+        $or: [{ role }, { role: null }, { $expr: { $and: [{ $isNumber: "$role" }, { $lt: [legacyRole, 1] }] } }],
+      };
+    default:
+      return { role };
+  }
+};
+
+const challengeCondition = async (challengeId) => {
+  if (!mongoose.Types.ObjectId.isValid(challengeId)) throw httpError(400, "challengeId is not valid");
+
+  const challenge = await Challenge.findById(challengeId).select("joinedUsers");
+  if (!challenge) throw httpError(400, "Challenge not found");
+
+  return { _id: { $in: challenge.joinedUsers } };
+};
+
+/**
+ * Builds the Mongo filter of the admin user listings from query parameters.
+ * Deleted accounts are excluded unless deleted=true. A plan without a
+ * subscriptionStatus matches every status that can still give access.
+ *
+ * @param {Object} query - search, role, plan, subscriptionStatus, level,
+ *   levelMin, levelMax, experience, createdFrom, createdTo, activeFrom,
+ *   activeTo, challengeId, deleted.
+ * @returns {Promise<Object>} The filter.
+ * @throws {Error} With status 400 when a parameter is not valid.
+ */
+const buildUserFilter = async (query = {}) => {
+  const { search, role, plan, subscriptionStatus, level, experience, challengeId, deleted } = query;
+  const conditions = [{ deletedAt: deleted === "true" ? { $ne: null } : null }];
+
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i");
+    conditions.push({
+      $or: [{ email: regex }, { firstName: regex }, { lastName: regex }, { name: regex }],
+    });
+  }
+
+  if (role) {
+    if (!Object.values(ROLES).includes(role)) {
+      throw httpError(400, `role must be one of: ${Object.values(ROLES).join(", ")}`);
+    }
+    conditions.push(roleCondition(role));
+  }
+
+  if (plan || subscriptionStatus) {
+    conditions.push({
+      entitlements: {
+        $elemMatch: {
+          ...(plan && { plan }),
+          status: subscriptionStatus || { $in: ACCESS_STATUSES },
+        },
+      },
+    });
+  }
+
+  if (level !== undefined) {
+    conditions.push({ level: parseNumber(level, "level") });
+  }
+
+  if (experience) {
+    conditions.push({ experience });
+  }
+
+  conditions.push(
+    rangeCondition(query, "level", ["levelMin", "levelMax"], parseNumber),
+    rangeCondition(query, "createdAt", ["createdFrom", "createdTo"], parseDate),
+    rangeCondition(query, "lastActiveAt", ["activeFrom", "activeTo"], parseDate)
+  );
+
+  if (challengeId) {
+    conditions.push(await challengeCondition(challengeId));
+  }
+
+  return { $and: conditions.filter(Boolean) };
+};
+
+module.exports = {
+  buildUserFilter,
+};
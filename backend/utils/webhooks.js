@@ -0,0 +1,212 @@
+const User = require("../models/userModel");
+const WebhookEvent = require("../models/webhookEventModel");
+const { syncSubscription, removeSubscription } = require("./entitlements");
+const { toUserFields, syncCustomer } = require("./customer");
+const { softDeleteUser, restoreUser } = require("./userLifecycle");
+const { escapeRegex } = require("./regex");
+const { AUDIT_ACTOR_TYPES } = require("./enum/audit");
+const { WOOCOMMERCE_WEBHOOK_EVENTS, WEBHOOK_EVENT_STATUS } = require("./enum/woocommerce");
+
+const readNumber = (value, fallback) =>
+  value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+// A failed event is retried after 30s, 1m, 2m, 4m... and moved to the dead
+// letter list once it has failed maxAttempts times.
+const WEBHOOK_RETRY_POLICY = {
+  maxAttempts: readNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 6),
+  retryDelaySeconds: readNumber(process.env.WEBHOOK_RETRY_DELAY_SECONDS, 30),
+};
+
+// An event left in processing this long belongs to a worker that died.
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const BATCH_SIZE = 20;
+
+// Failures that retrying cannot fix; the event goes to the dead letter list
+// until an admin looks at it and replays it.
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+async function createCustomer(webhookData) {
+  // The customer may already exist, from an earlier delivery or from signing up in the app.
+  const user =
+    (await User.findOne({ uid: webhookData.id })) ||
+    (webhookData.email && (await User.findOne({ email: new RegExp(`^${escapeRegex(webhookData.email)}$`, "i") })));
+
+  // An account linked to another customer keeps its link.
+  if (user && user.uid !== undefined && user.uid !== webhookData.id) {
+    throw permanentError(
+      `Email ${webhookData.email} belongs to user ${user._id}, linked to customer ${user.uid}`
+    );
+  }
+
+  if (user) {
+    user.uid = webhookData.id;
+    await user.save();
+    await restoreUser(user, { actorType: AUDIT_ACTOR_TYPES.WooCommerce });
+    console.log("Customer already exists", user._id);
+    return;
+  }
+
+  const result = await User.create({
+    ...toUserFields(webhookData),
+    uid: webhookData.id,
+  });
+  console.log("Customer created successfully", result);
+}
+
+async function updateCustomer(webhookData) {
+  const user = await syncCustomer(webhookData);
+
+  if (!user) {
+    await createCustomer(webhookData);
+    return;
+  }
+  console.log("Customer info updated successfully");
+}
+
+async function deleteCustomer(webhookData) {
+  const user = await User.findOne({ uid: webhookData.id });
+
+  if (!user || user.deletedAt) {
+    console.log("Customer already deleted");
+    return;
+  }
+
+  await softDeleteUser(user, { actorType: AUDIT_ACTOR_TYPES.WooCommerce });
+  console.log("Customer deleted successfully");
+}
+
+async function updateSubscription(webhookData) {
+  const user = await syncSubscription(webhookData);
+
+  // The customer.created delivery may not have been processed yet; retry later.
+  if (!user) throw new Error(`Customer ${webhookData.customer_id} not found`);
+  console.log("Subscription synced successfully");
+}
+
+async function deleteSubscription(webhookData) {
+  await removeSubscription(webhookData.id);
+  console.log("Subscription deleted successfully");
+}
+
+const WEBHOOK_HANDLERS = {
+  [WOOCOMMERCE_WEBHOOK_EVENTS.CustomerCreated]: createCustomer,
+  [WOOCOMMERCE_WEBHOOK_EVENTS.CustomerUpdated]: updateCustomer,
+  [WOOCOMMERCE_WEBHOOK_EVENTS.CustomerDeleted]: deleteCustomer,
+  [WOOCOMMERCE_WEBHOOK_EVENTS.SubscriptionCreated]: updateSubscription,
+  [WOOCOMMERCE_WEBHOOK_EVENTS.SubscriptionUpdated]: updateSubscription,
+  [WOOCOMMERCE_WEBHOOK_EVENTS.SubscriptionDeleted]: deleteSubscription,
+};
+
+/**
+ * Stores a delivery in the inbox. A delivery already stored is not stored again.
+ *
+ * @param {Object} delivery - deliveryId, topic and payload of the webhook.
+ * @returns {Promise<{event: Object, duplicate: boolean}>}
+ */
+const receiveWebhook = async ({ deliveryId, topic, payload }) => {
+  try {
+    const event = await WebhookEvent.create({ deliveryId, topic, payload });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const event = await WebhookEvent.findOne({ deliveryId });
+    return { event, duplicate: true };
+  }
+};
+
+// Takes the next due event, so that two workers never process the same one.
+const claimNextEvent = () => {
+  const now = new Date();
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: { $in: [WEBHOOK_EVENT_STATUS.Pending, WEBHOOK_EVENT_STATUS.Failed] },
+          nextAttemptAt: { $lte: now },
+        },
+        {
+          status: WEBHOOK_EVENT_STATUS.Processing,
+          lockedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) },
+        },
+      ],
+    },
+    {
+      status: WEBHOOK_EVENT_STATUS.Processing,
+      lockedAt: now,
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const getRetryDelay = (attempts) =>
+  WEBHOOK_RETRY_POLICY.retryDelaySeconds * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Runs the handler of a claimed event and records the outcome.
+ *
+ * @param {Object} event - The WebhookEvent document, in processing.
+ * @returns {Promise<Object>} The updated event.
+ */
+const processEvent = async (event) => {
+  const handler = WEBHOOK_HANDLERS[event.topic];
+
+  try {
+    if (!handler) throw new Error(`Unsupported webhook event: ${event.topic}`);
+    await handler(event.payload);
+
+    event.status = WEBHOOK_EVENT_STATUS.Processed;
+    event.processedAt = new Date();
+    event.lastError = undefined;
+  } catch (error) {
+    console.error(`Failed to process webhook ${event.deliveryId}:`, error);
+
+    event.lastError = error.message;
+    if (error.permanent || event.attempts >= WEBHOOK_RETRY_POLICY.maxAttempts) {
+      event.status = WEBHOOK_EVENT_STATUS.DeadLetter;
+    } else {
+      event.status = WEBHOOK_EVENT_STATUS.Failed;
+      event.nextAttemptAt = new Date(Date.now() + getRetryDelay(event.attempts));
+    }
+  }
+
+  event.lockedAt = undefined;
+  return event.save();
+};
+
+// Run by the scheduler, and right after a delivery is received.
+const processPendingWebhooks = async (limit = BATCH_SIZE) => {
+  for (let count = 0; count < limit; count++) {
+    const event = await claimNextEvent();
+    if (!event) return;
+
+    await processEvent(event);
+  }
+};
+
+/**
+ * Queues an event to be processed again from scratch.
+ *
+ * @param {Object} event - The WebhookEvent document.
+ * @param {Object} user - The admin replaying it.
+ * @returns {Promise<Object>} The updated event.
+ */
+const replayEvent = (event, user) => {
+  event.status = WEBHOOK_EVENT_STATUS.Pending;
+  event.attempts = 0;
+  event.nextAttemptAt = new Date();
+  event.lastError = undefined;
+  event.replayedAt = new Date();
+  event.replayedBy = user && user._id;
+  return event.save();
+};
+
+module.exports = {
+  WEBHOOK_RETRY_POLICY,
+  receiveWebhook,
+  processPendingWebhooks,
+  replayEvent,
+};
@@ -3,10 +3,11 @@
 
 const axios = require("axios");
 
-const getSubscriptionStatus = async (uid) => {
+// Every subscription of a customer, whatever its status.
+const getCustomerSubscriptions = async (uid) => {
   try {
     const response = await axios.get(
-      `${process.env.WOOCOMMERCE_API_URL}/wp-json/wc/v3/subscriptions?customer=${uid}&status=active`,
+      `${process.env.WOOCOMMERCE_API_URL}/wp-json/wc/v3/subscriptions?customer=${uid}&per_page=100`,
       {
         auth: {
           username: process.env.WOOCOMMERCE_CONSUMER_KEY,
@@ -15,20 +16,7 @@ const getSubscriptionStatus = async (uid) => {
       }
     );
 
-    let isPT = false;
-    let isPTA = false;
-
-    for (const subscription of response.data) {
-      const items = subscription.line_items;
-      for (const item of items) {
-        if (item.product_id.toString() === process.env.PT_SUBSCRIPTION_ID)
-          isPT = true;
-        if (item.product_id.toString() === process.env.PTA_SUBSCRIPTION_ID)
-          isPTA = true;
-      }
-    }
-
-    return { isPT: isPT, isPTA: isPTA };
+    return response.data;
   } catch (error) {
     console.error(error);
     throw new Error("Failed to get subscription status");
@@ -36,5 +24,5 @@ const getSubscriptionStatus = async (uid) => {
 };
 
 module.exports = {
-  getSubscriptionStatus,
+  getCustomerSubscriptions,
 };
@@ -75,7 +75,7 @@ class DataProvider extends ChangeNotifier {
   List<Staffs> get athletes => athletesData;
 
   Future<void> fetchStaffs() async {
-    Uri url = Uri.parse('${AppConstants.serverUrl}/api/staffs/admin/get');
+    Uri url = Uri.parse('${AppConstants.serverUrl}/api/staffs/get');
     String? userIdToken = await getAuthToken();
     try {
       final response = await http.get(
@@ -227,7 +227,7 @@ class DataProvider extends ChangeNotifier {
   }
 
   Future<void> fetchAdminEquipmentsData() async {
-    Uri url = Uri.parse('${AppConstants.serverUrl}/api/equipments/admin/get');
+    Uri url = Uri.parse('${AppConstants.serverUrl}/api/equipments/get');
     String? userIdToken = await getAuthToken();
 
     final response = await http.get(